@@ -0,0 +1,22 @@
+// Example local bot: plays a random legal move, and always calls UNO when it can.
+// Seat it as "local:random". See docs/bots.md.
+
+function createBot({ random = Math.random } = {}) {
+  return {
+    name: "Random bot",
+    thinkMs: 600,
+
+    act(view) {
+      const uno = view.legalMoves.find((m) => m.type === "yellUno");
+      if (uno) return uno;
+      const moves = view.legalMoves.filter((m) => m.type !== "catchUno");
+      return moves[Math.floor(random() * moves.length)];
+    },
+
+    react(view) {
+      return view.legalMoves.find((m) => m.type === "catchUno") || null;
+    },
+  };
+}
+
+module.exports = { createBot };
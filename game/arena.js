@@ -0,0 +1,162 @@
+// Offline bot-vs-bot games straight through the engine: no sockets or timers.
+// Used to compare strategies by win rate (scripts/simulate.js).
+
+const { createGame, applyAction } = require("./engine");
+const { viewFor, eventsFor, moveFromBot, fallbackMove, createBuiltinBot } = require("./bots");
+const { createRandom } = require("./rng");
+
+const MAX_ACTIONS = 5000; // a game that runs longer is counted as unfinished
+const TEAM_SEATS = 4;
+
+// bots: one bot object per seat (see game/bots.js), answering synchronously.
+// With `teams`, seats across the table are partners (P1 & P3 against P2 & P4).
+// Returns the seat index that went out (null if unfinished) and what happened on the way.
+function playGame({ bots, rules, seed, teams = false }) {
+  const players = bots.map((_, i) => `P${i + 1}`);
+  const botOf = {};
+  const teamOf = {};
+  players.forEach((id, i) => {
+    botOf[id] = bots[i];
+    teamOf[id] = `T${(i % 2) + 1}`;
+  });
+
+  let { state } = createGame({ players, rules, seed, teams: teams ? teamOf : null });
+  players.forEach((id) => {
+    if (botOf[id].newGame) botOf[id].newGame(viewFor(state, id));
+  });
+
+  let reshuffles = 0;
+  let unoPenalties = 0;
+
+  const apply = (action) => {
+    const res = applyAction(state, action);
+    if (res.error) return res;
+    res.events.forEach((e) => {
+      if (e.type === "reshuffle") reshuffles++;
+      if (e.type === "penalty" && e.reason === "caught") unoPenalties++;
+    });
+    const before = state;
+    state = res.state;
+    players.forEach((id) => {
+      if (botOf[id].observe) {
+        botOf[id].observe({ before: viewFor(before, id), events: eventsFor(before, res.events), view: viewFor(state, id) });
+      }
+    });
+    return res;
+  };
+
+  // The quickest bot to react (catch a missed UNO call, jump in) does so before the next move
+  const tryReact = () => {
+    let reaction = null;
+    let fastest = Infinity;
+    players.forEach((id) => {
+      if (!botOf[id].react) return;
+      const move = botOf[id].react(viewFor(state, id));
+      const action = moveFromBot(state, id, move);
+      const delay = action && move.afterMs != null ? move.afterMs : botOf[id].thinkMs || 0;
+      if (action && delay < fastest) {
+        fastest = delay;
+        reaction = action;
+      }
+    });
+    if (reaction) apply(reaction);
+  };
+
+  let actions = 0;
+  while (!state.isGameOver && actions < MAX_ACTIONS) {
+    if (state.unoExposed || state.rules.jumpIn) {
+      const turn = state.turnCount;
+      tryReact();
+      // A jump-in is a move of its own, and may be answered by another one
+      if (state.turnCount !== turn) {
+        actions++;
+        continue;
+      }
+    }
+
+    const id = state.currentTurn;
+    const action = moveFromBot(state, id, botOf[id].act(viewFor(state, id))) || fallbackMove(state, id);
+    let res = apply(action);
+    if (res.error) res = apply(fallbackMove(state, id));
+    if (res.error) apply({ type: "timeout", playerId: id });
+    actions++;
+  }
+
+  return {
+    winner: state.isGameOver ? players.indexOf(state.winner) : null,
+    actions,
+    turns: state.turnCount,
+    reshuffles,
+    unoPenalties,
+  };
+}
+
+// Plays `games` games between the given strategies, rotating seats every game
+// so each one starts from each position equally often. A strategy may be listed
+// more than once; `wins` and `winRate` follow the order of `strategies`. In team
+// games (4 strategies, the 1st and 3rd against the 2nd and 4th) a win counts for
+// both partners. `makeBot(strategy, random, seat)` builds a seat's bot; by
+// default strategies are the built-in CPU levels.
+function compare({
+  strategies,
+  games = 100,
+  rules,
+  seed = "arena",
+  teams = false,
+  makeBot = (level, random) => createBuiltinBot(level, random),
+}) {
+  if (teams && strategies.length !== TEAM_SEATS) throw new Error(`Team games need ${TEAM_SEATS} strategies.`);
+
+  const wins = strategies.map(() => 0);
+  let unfinished = 0;
+  let turns = 0;
+  let actions = 0;
+  let reshuffles = 0;
+  let gamesWithReshuffle = 0;
+  let unoPenalties = 0;
+  let gamesWithUnoPenalty = 0;
+
+  for (let g = 0; g < games; g++) {
+    // seats[i]: which of the strategies plays seat i this game
+    const seats = strategies.map((_, i) => (i + g) % strategies.length);
+    const random = createRandom(`${seed}:${g}:cpu`);
+    const bots = seats.map((slot, i) => makeBot(strategies[slot], random, `P${i + 1}`));
+    const result = playGame({ bots, rules, seed: `${seed}:${g}`, teams });
+
+    turns += result.turns;
+    actions += result.actions;
+    reshuffles += result.reshuffles;
+    if (result.reshuffles > 0) gamesWithReshuffle++;
+    unoPenalties += result.unoPenalties;
+    if (result.unoPenalties > 0) gamesWithUnoPenalty++;
+    if (result.winner == null) unfinished++;
+    else {
+      seats.forEach((slot, i) => {
+        if (i === result.winner || (teams && i % 2 === result.winner % 2)) wins[slot]++;
+      });
+    }
+  }
+
+  const perGame = (n) => (games > 0 ? n / games : 0);
+
+  return {
+    strategies,
+    games,
+    rules,
+    seed,
+    teams,
+    wins,
+    winRate: wins.map(perGame),
+    unfinished,
+    averageTurns: perGame(turns),
+    averageActions: perGame(actions),
+    reshuffles: { perGame: perGame(reshuffles), gameRate: perGame(gamesWithReshuffle) },
+    unoPenalties: { perGame: perGame(unoPenalties), gameRate: perGame(gamesWithUnoPenalty) },
+  };
+}
+
+module.exports = {
+  MAX_ACTIONS,
+  playGame,
+  compare,
+};
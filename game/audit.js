@@ -0,0 +1,28 @@
+// Append-only audit log of suspicious client behaviour, one JSON object per line:
+// malformed payloads, rate-limit hits, moves for seats or games that aren't theirs.
+
+const fs = require("fs");
+const path = require("path");
+
+function createAuditLog(file) {
+  let stream = null;
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    stream = fs.createWriteStream(file, { flags: "a" });
+    stream.on("error", (err) => {
+      console.warn(`Audit log ${file} failed:`, err.message);
+      stream = null;
+    });
+  } catch (err) {
+    console.warn(`Could not open audit log ${file}:`, err.message);
+  }
+
+  return {
+    record(entry) {
+      if (stream) stream.write(`${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`);
+    },
+  };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,220 @@
+// Bot interface. Anything that can take a seat — the built-in CPU levels, local
+// modules in bots/, remote bots on the "/bot" socket.io namespace — is an object:
+//
+//   name               display name at the table
+//   thinkMs            optional default delay before each move
+//   act(view)          its turn: returns one of view.legalMoves (or a Promise of one)
+//   react(view)        optional, off-turn chances (catching a missed UNO): a move or null;
+//                      a move may carry `afterMs`, how long to wait before making it
+//   newGame(view)      optional, called after every deal
+//   observe(update)    optional, { before, events, view } after every action at the table
+//
+// A view is the engine state as one seat sees it (see viewFor). See docs/bots.md.
+
+const fs = require("fs");
+const path = require("path");
+
+const { COLORS, cardFace, legalMoves, isPartner } = require("./engine");
+const cpu = require("./cpu");
+const { createMemory, observe } = require("./memory");
+
+const BUILTIN_LEVELS = ["easy", "medium", "hard", "expert"];
+
+// Default think delay per built-in level
+const BUILTIN_THINK_MS = { easy: 1100, medium: 850, hard: 650, expert: 650 };
+
+// ------------------ VIEWS ------------------
+
+// Seat names ("P1", "P2", ...) in place of player ids, so bots never see socket ids
+function seatNames(state) {
+  const names = {};
+  state.players.forEach((id, index) => {
+    if (id) names[id] = `P${index + 1}`;
+  });
+  return names;
+}
+
+// Rewrites every player id (as a value or a key) through `map`
+function mapIds(value, map) {
+  if (typeof value === "string") return map[value] || value;
+  if (Array.isArray(value)) return value.map((v) => mapIds(v, map));
+  if (value && typeof value === "object") {
+    const out = {};
+    Object.keys(value).forEach((key) => {
+      out[map[key] || key] = mapIds(value[key], map);
+    });
+    return out;
+  }
+  return value;
+}
+
+// Only what `playerId` could know: its own hand, the size of everyone else's,
+// no deck order or seed, not the other side of Flip cards and not whether a
+// pending Wild +4 was legal.
+function viewFor(state, playerId) {
+  const hands = {};
+  Object.keys(state.hands).forEach((id) => {
+    hands[id] = id === playerId ? state.hands[id].map(cardFace) : new Array(state.hands[id].length).fill(null);
+  });
+
+  const visible = {
+    players: state.players,
+    rules: state.rules,
+    hands,
+    discardPile: state.discardPile.map(cardFace),
+    deckCount: state.deck.length,
+    direction: state.direction,
+    currentTurn: state.currentTurn,
+    pendingDraw: state.pendingDraw,
+    drawnCardId: state.currentTurn === playerId ? state.drawnCardId : null,
+    unoStatus: state.unoStatus,
+    unoExposed: state.unoExposed,
+    challenge: state.challenge
+      ? { playerId: state.challenge.playerId, victimId: state.challenge.victimId }
+      : null,
+    isGameOver: state.isGameOver,
+    winner: state.winner,
+    message: state.message,
+    turnCount: state.turnCount,
+    side: state.side || "light",
+    out: state.out || [],
+    teams: state.teams || null,
+    you: playerId,
+    legalMoves: legalMoves(state, playerId),
+  };
+
+  return mapIds(structuredClone(visible), seatNames(state));
+}
+
+// Engine events as a seat sees them (the deal's seed would give away the deck)
+function eventsFor(state, events) {
+  const visible = events.map((e) => {
+    if (e.type !== "deal") return e;
+    const { seed, ...rest } = e;
+    return rest;
+  });
+  return mapIds(structuredClone(visible), seatNames(state));
+}
+
+// A bot's move, back from seat names to player ids. Anything that isn't one of
+// its legal moves comes back as null.
+function moveFromBot(state, playerId, move) {
+  if (!move || typeof move !== "object") return null;
+
+  const ids = {};
+  const names = seatNames(state);
+  Object.keys(names).forEach((id) => {
+    ids[names[id]] = id;
+  });
+
+  const action = { ...mapIds(move, ids), playerId };
+  const legal = legalMoves(state, playerId).some(
+    (m) =>
+      m.type === action.type &&
+      (m.cardId == null || m.cardId === action.cardId) &&
+      (m.chosenColor == null || m.chosenColor === action.chosenColor) &&
+      (m.swapWith == null || m.swapWith === action.swapWith) &&
+      (m.target == null || m.target === action.target)
+  );
+  if (!legal) return null;
+
+  return {
+    type: action.type,
+    playerId,
+    cardId: action.cardId,
+    chosenColor: COLORS.includes(action.chosenColor) ? action.chosenColor : null,
+    swapWith: action.swapWith || null,
+    target: action.target || null,
+  };
+}
+
+// What a seat does when its bot gives no usable answer
+function fallbackMove(state, playerId) {
+  if (state.challenge) return { type: "acceptWild4", playerId };
+  return { type: state.drawnCardId != null ? "pass" : "draw", playerId };
+}
+
+// ------------------ BUILT-IN LEVELS ------------------
+
+function createBuiltinBot(level, random = Math.random) {
+  const difficulty = BUILTIN_LEVELS.includes(level) ? level : "easy";
+  let memory = createMemory(null);
+  const watch = ({ before, events, view }) => observe(memory, before, events, view);
+
+  const bot = {
+    name: `${difficulty[0].toUpperCase()}${difficulty.slice(1)} CPU`,
+    difficulty,
+    thinkMs: BUILTIN_THINK_MS[difficulty],
+
+    newGame(view) {
+      memory = createMemory(view.you, view.discardPile);
+      // Only the expert and team players read the memory, so only they watch every action
+      if (difficulty === "expert" || view.teams) bot.observe = watch;
+      else delete bot.observe;
+    },
+
+    act(view) {
+      return cpu.chooseAction(view, view.you, difficulty, random, memory);
+    },
+
+    // Whether (and how quickly) it notices someone who forgot to call UNO, or
+    // jumps in with a copy of the top card. A partner is never caught.
+    react(view) {
+      const catchMove = view.legalMoves.find((m) => m.type === "catchUno");
+      if (catchMove && !isPartner(view, view.you, catchMove.target)) {
+        const delay = cpu.catchReaction(difficulty, random);
+        if (delay != null) return { ...catchMove, afterMs: delay };
+      }
+
+      const jump = cpu.chooseJumpIn(view, view.you, difficulty, random);
+      if (!jump) return null;
+      const delay = cpu.jumpInReaction(difficulty, random);
+      return delay != null ? { ...jump, afterMs: delay } : null;
+    },
+  };
+
+  return bot;
+}
+
+// ------------------ LOCAL MODULES ------------------
+
+function isBot(value) {
+  return !!(value && typeof value === "object" && typeof value.act === "function");
+}
+
+// Every .js file in `dir` that exports `createBot(options)`, or a bot object
+// (shared by every seat it takes). Returns name -> factory, the name being the file name.
+function loadLocalBots(dir) {
+  const factories = {};
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((file) => file.endsWith(".js"));
+  } catch {
+    return factories; // no bots directory
+  }
+
+  files.forEach((file) => {
+    const name = path.basename(file, ".js");
+    try {
+      const mod = require(path.resolve(dir, file));
+      if (typeof mod.createBot === "function") factories[name] = mod.createBot;
+      else if (isBot(mod)) factories[name] = () => mod;
+      else console.warn(`bots/${file} exports neither createBot() nor a bot, skipped`);
+    } catch (err) {
+      console.warn(`bots/${file} failed to load:`, err.message);
+    }
+  });
+  return factories;
+}
+
+module.exports = {
+  BUILTIN_LEVELS,
+  BUILTIN_THINK_MS,
+  viewFor,
+  eventsFor,
+  moveFromBot,
+  fallbackMove,
+  createBuiltinBot,
+  isBot,
+  loadLocalBots,
+};
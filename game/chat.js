@@ -0,0 +1,45 @@
+// Table chat: short text messages and a fixed set of quick emotes, shown as
+// bubbles next to the sender's hand. Nothing here touches the game state.
+
+const MAX_CHAT_LENGTH = 120;
+
+// id -> bubble text
+const EMOTES = {
+  nice: "Nice!",
+  ouch: "Ouch",
+  unoSoon: "UNO soon…",
+  gg: "Good game",
+  wow: "Wow!",
+  oops: "Oops",
+  gotcha: "Gotcha!",
+};
+
+// What the built-in CPUs say after their own moves, and how often
+const CPU_EMOTES = [
+  { when: (e) => e.type === "play" && e.card.type === "wild4", chance: 0.4, emotes: ["gotcha", "oops"] },
+  { when: (e) => e.type === "win", chance: 0.7, emotes: ["gg", "nice"] },
+];
+
+// One line of plain text, or null when nothing is left
+function cleanChatText(value) {
+  if (typeof value !== "string") return null;
+  const text = value.replace(/[\u0000-\u001f\u007f]/g, " ").replace(/\s+/g, " ").trim();
+  return text ? text.slice(0, MAX_CHAT_LENGTH) : null;
+}
+
+// The emote a CPU at `playerId` sends after these engine events, or null
+function cpuEmote(playerId, events, random = Math.random) {
+  for (const rule of CPU_EMOTES) {
+    if (!events.some((e) => e.playerId === playerId && rule.when(e))) continue;
+    if (random() >= rule.chance) return null;
+    return rule.emotes[Math.floor(random() * rule.emotes.length)];
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_CHAT_LENGTH,
+  EMOTES,
+  cleanChatText,
+  cpuEmote,
+};
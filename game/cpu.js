@@ -0,0 +1,444 @@
+// CPU decisions. Pure functions of the engine state; `random` defaults to Math.random
+// but can be a seeded generator (see rng.createRandom) for reproducible games.
+// The "expert" level also reads a memory of the game so far (see memory.js), as
+// does every level in team play, to look after its partner.
+
+const {
+  COLORS,
+  MERCY_LIMIT,
+  createDeck,
+  activePlayers,
+  nextPlayerId,
+  isPartner,
+  topCard,
+  isPlayableNow,
+  canJumpIn,
+  isWildCard,
+  isDrawCard,
+  drawAmount,
+  isLegalWild4,
+} = require("./engine");
+
+// ------------------ TEAMS ------------------
+
+function partnerOf(state, playerId) {
+  return activePlayers(state).find((id) => isPartner(state, playerId, id)) || null;
+}
+
+// Nudges color scores towards what the partner was seen holding and away from
+// what they showed they lack
+function partnerColorBonus(state, playerId, memory, color) {
+  const partner = memory && partnerOf(state, playerId);
+  if (!partner) return 0;
+  let bonus = 0;
+  if (memory.showed[partner] === color) bonus += 2;
+  if (memory.lacks[partner] && memory.lacks[partner][color]) bonus -= 2;
+  return bonus;
+}
+
+// Draw cards, Skips and Wild Draw Color land on the next player: not on a partner
+function hitsPartner(state, playerId, card) {
+  const victimCard = isDrawCard(card) || card.type === "skip" || card.type === "wildColor";
+  return victimCard && isPartner(state, playerId, nextPlayerId(state, playerId));
+}
+
+// ------------------ COLORS ------------------
+
+function pickColor(state, playerId, random = Math.random, memory = null) {
+  const hand = state.hands[playerId] || [];
+  const counts = { red: 0, yellow: 0, green: 0, blue: 0 };
+  for (const c of hand) {
+    if (c.color && counts[c.color] != null) counts[c.color]++;
+  }
+  COLORS.forEach((color) => {
+    counts[color] += partnerColorBonus(state, playerId, memory, color);
+  });
+  let best = "red";
+  for (const k of Object.keys(counts)) {
+    if (counts[k] > counts[best]) best = k;
+  }
+  if (counts[best] <= 0) {
+    best = COLORS[Math.floor(random() * COLORS.length)];
+  }
+  return best;
+}
+
+function shouldCallUno(state, playerId, difficulty, random = Math.random) {
+  const hand = state.hands[playerId] || [];
+  if (hand.length !== 2) return false;
+
+  const roll = random();
+  if (difficulty === "hard" || difficulty === "expert") return true;
+  if (difficulty === "medium") return roll < 0.7;
+  return roll < 0.35;
+}
+
+// Whether the CPU notices an opponent who forgot to call UNO: a reaction delay
+// in ms, or null if it misses it this time.
+function catchReaction(difficulty, random = Math.random) {
+  const roll = random();
+  if (difficulty === "expert") return roll < 0.95 ? 600 : null;
+  if (difficulty === "hard") return roll < 0.9 ? 700 : null;
+  if (difficulty === "medium") return roll < 0.6 ? 1400 : null;
+  return roll < 0.25 ? 2200 : null;
+}
+
+// Whether the CPU jumps in when it holds an exact copy of the top card: a
+// reaction delay in ms, or null if it lets the chance go by.
+function jumpInReaction(difficulty, random = Math.random) {
+  const roll = random();
+  if (difficulty === "expert") return roll < 0.9 ? 400 : null;
+  if (difficulty === "hard") return roll < 0.8 ? 600 : null;
+  if (difficulty === "medium") return roll < 0.5 ? 900 : null;
+  return roll < 0.2 ? 1400 : null;
+}
+
+// Whether to challenge a Wild +4. Only uses what a player at the table could
+// know: how many cards the player who played it still holds and, for the expert,
+// whether they were seen drawing on the color that was in play.
+function shouldChallengeWild4(state, playerId, difficulty, random = Math.random, memory = null) {
+  const challenge = state.challenge;
+  if (!challenge || challenge.victimId !== playerId) return false;
+
+  const roll = random();
+  if (difficulty === "easy") return roll < 0.25;
+
+  // Chance none of their other cards had the color in play (about 23% of the deck each)
+  const others = (state.hands[challenge.playerId] || []).length;
+  const pLegal = Math.pow(0.77, others);
+  // Most +4s are played when stuck, so only challenge once a bluff is more likely than not
+  const worthIt = pLegal < 0.5;
+
+  if (difficulty === "medium") return worthIt ? roll < 0.6 : roll < 0.1;
+
+  if (difficulty === "expert" && memory) {
+    const before = state.discardPile[state.discardPile.length - 2];
+    const lacks = memory.lacks[challenge.playerId] || {};
+    if (before && before.color && lacks[before.color]) return false;
+  }
+  return worthIt;
+}
+
+// ------------------ DECK VARIANTS ------------------
+
+// Colored cards of each color in the whole deck, on the side that is face up
+function colorTotals(state) {
+  const counts = { red: 0, yellow: 0, green: 0, blue: 0 };
+  createDeck(state.rules.deck).forEach((card) => {
+    const face = state.side === "dark" ? card.back : card;
+    if (face.color) counts[face.color]++;
+  });
+  return counts;
+}
+
+// Cards of each color not accounted for by our own hand or what was played
+// since the last reshuffle: remembered, or else read off the discard pile
+function unseenByColor(state, playerId, memory = null) {
+  const counts = colorTotals(state);
+  const played = memory ? memory.seen : state.discardPile;
+  played.concat(state.hands[playerId] || []).forEach((c) => {
+    if (!isWildCard(c) && counts[c.color] != null) counts[c.color]--;
+  });
+  return counts;
+}
+
+// Wild Draw Color: name the color with the fewest cards left out there, so the
+// victim draws for as long as possible
+function rarestColor(state, playerId, random = Math.random) {
+  const unseen = unseenByColor(state, playerId);
+  return COLORS.reduce((best, color) => {
+    const diff = unseen[color] - unseen[best];
+    return diff < 0 || (diff === 0 && random() < 0.5) ? color : best;
+  });
+}
+
+// No mercy: a draw card that takes the next player to the hand limit knocks them out
+function knocksOut(state, playerId, card) {
+  if (state.rules.deck !== "noMercy" || !isDrawCard(card)) return false;
+  const next = nextPlayerId(state, playerId);
+  if (isPartner(state, playerId, next)) return false;
+  return (state.hands[next] || []).length + state.pendingDraw + drawAmount(card) >= MERCY_LIMIT;
+}
+
+// ------------------ EXPERT ------------------
+
+// Someone is about to go out: time to spend wilds
+function inDanger(state, playerId) {
+  const opponents = activePlayers(state).filter((id) => id !== playerId && !isPartner(state, playerId, id));
+  return opponents.some((id) => (state.hands[id] || []).length <= 2);
+}
+
+// The next player is about to go out: time for the draw cards
+function nextInDanger(state, playerId) {
+  const next = nextPlayerId(state, playerId);
+  return !isPartner(state, playerId, next) && (state.hands[next] || []).length <= 2;
+}
+
+// Chance `opponentId` has no card of `color`: certain once they drew on it,
+// otherwise each card in their hand is one of those we haven't seen
+function chanceLacks(state, playerId, opponentId, color, memory, unseen) {
+  if (memory && memory.lacks[opponentId] && memory.lacks[opponentId][color]) return 1;
+  // A seat's view has the deck's size only
+  const unknown =
+    (state.deck ? state.deck.length : state.deckCount) +
+    activePlayers(state)
+      .filter((id) => id !== playerId)
+      .reduce((sum, id) => sum + (state.hands[id] || []).length, 0);
+  if (unknown <= 0) return 0;
+  const share = Math.min(1, Math.max(0, unseen[color]) / unknown);
+  return Math.pow(1 - share, (state.hands[opponentId] || []).length);
+}
+
+// Our strongest color, pulled towards colors the next player is likely to lack
+// and away from the one they last picked for a wild
+function expertPickColor(state, playerId, memory, random = Math.random) {
+  const hand = state.hands[playerId] || [];
+  const next = nextPlayerId(state, playerId);
+  const chose = memory && memory.chose[next];
+  const unseen = unseenByColor(state, playerId, memory);
+  const opponentNext = !isPartner(state, playerId, next);
+
+  let best = null;
+  let bestScore = -Infinity;
+  COLORS.forEach((color) => {
+    let s = hand.filter((c) => c.color === color).length * 3;
+    if (opponentNext) s += chanceLacks(state, playerId, next, color, memory, unseen) * 6;
+    if (chose === color) s -= 4;
+    s += partnerColorBonus(state, playerId, memory, color) * 2;
+    s += random() * 0.2;
+    if (s > bestScore) {
+      bestScore = s;
+      best = color;
+    }
+  });
+  return best;
+}
+
+function expertScore(state, playerId, card, memory, random) {
+  const rules = state.rules;
+  const hand = state.hands[playerId] || [];
+  const next = nextPlayerId(state, playerId);
+  const danger = inDanger(state, playerId);
+  const nextDanger = nextInDanger(state, playerId);
+  const wild = isWildCard(card);
+
+  // With the turn coming straight back, Skips and Reverses are a free card
+  // to shed, a little ahead of the numbers
+  const tempo = rules.actionsKeepTurn || activePlayers(state).length === 2;
+
+  // Wild Draw Color counts as about a +4. Draw cards wait for the next player
+  // to get close to UNO, wilds for anyone to.
+  let s;
+  if (card.type === "wild") s = danger ? 8 : -20;
+  else if (wild) s = nextDanger ? 41 + (drawAmount(card) || 4) : -25;
+  else if (isDrawCard(card)) s = nextDanger ? 40 : 8;
+  else if (card.type === "skipAll") s = 26;
+  else if (card.type === "skip" || card.type === "reverse") s = tempo ? 12 : danger ? 25 : 6;
+  else if (card.type === "flip") s = danger ? 25 : 8; // turns over the hand that's about to go out
+  else s = 10 + card.value * 0.3; // shed high numbers first
+
+  if (!wild) {
+    // Shed the short colors and the odd cards first; the long color is the
+    // one a wild brings back
+    const rest = hand.filter((c) => c.id !== card.id);
+    s -= rest.filter((c) => c.color === card.color).length * 2;
+    s -= rest.filter((c) => c.color !== card.color && c.type === card.type && c.value === card.value).length * 2;
+    if (!isPartner(state, playerId, next)) {
+      s += chanceLacks(state, playerId, next, card.color, memory, unseenByColor(state, playerId, memory)) * 12; // they'll have to draw
+    }
+  }
+
+  if (state.pendingDraw > 0 && !wild && isDrawCard(card)) s += 25;
+  if (knocksOut(state, playerId, card)) s += 80;
+  if (hitsPartner(state, playerId, card)) s -= 70;
+
+  if (card.type === "wild4" && rules.wild4Challenge && !danger && !isLegalWild4(hand, card, topCard(state))) {
+    s -= 60;
+  }
+
+  if (rules.sevenZero && card.type === "number" && card.value === 7) {
+    const fewest = Math.min(
+      ...activePlayers(state)
+        .filter((id) => id !== playerId)
+        .map((id) => (state.hands[id] || []).length)
+    );
+    if (fewest < hand.length - 1) s += 30;
+  }
+
+  return s + random() * 0.3;
+}
+
+function expertChooseCard(state, playerId, memory, random = Math.random) {
+  const hand = state.hands[playerId] || [];
+  const playable = hand.filter((c) => isPlayableNow(state, c));
+  if (playable.length === 0) return null;
+
+  const scored = playable.map((card) => ({ card, score: expertScore(state, playerId, card, memory, random) }));
+  scored.sort((a, b) => b.score - a.score);
+  return scored[0].card;
+}
+
+// Draw rather than spend a wild while the hand is big and nobody is close to going out
+function expertHoldsWild(state, playerId, card) {
+  const hand = state.hands[playerId] || [];
+  return (
+    isWildCard(card) &&
+    state.pendingDraw === 0 &&
+    !inDanger(state, playerId) &&
+    hand.length > 5
+  );
+}
+
+function chooseCard(state, playerId, difficulty, random = Math.random, memory = null) {
+  const diff = difficulty || "easy";
+  if (diff === "expert") return expertChooseCard(state, playerId, memory, random);
+
+  const rules = state.rules;
+  const hand = state.hands[playerId] || [];
+
+  const playable = hand.filter((c) => isPlayableNow(state, c));
+  if (playable.length === 0) return null;
+
+  if (diff === "easy") {
+    return playable[Math.floor(random() * playable.length)];
+  }
+
+  const nextCount = (state.hands[nextPlayerId(state, playerId)] || []).length;
+  const fewestOpponent = Math.min(
+    ...activePlayers(state)
+      .filter((id) => id !== playerId)
+      .map((id) => (state.hands[id] || []).length)
+  );
+
+  const score = (card) => {
+    let s = 0;
+    if (card.type === "wild4") s += 50;
+    else if (isWildCard(card) && card.type !== "wild") s += 46 + drawAmount(card); // +2/+6/+10, Draw Color
+    else if (isDrawCard(card)) s += 30;
+    else if (card.type === "skipAll") s += 25;
+    else if (card.type === "skip" || card.type === "reverse") s += 20;
+    else if (card.type === "flip") s += nextCount <= 2 ? 25 : 12;
+    else s += 10;
+
+    if (diff === "hard" && card.type === "wild") s -= 2;
+
+    // A Wild +4 held with the color in play is a bluff that can be challenged.
+    // Hard bluffs when the next player is close to winning, medium rarely does.
+    if (card.type === "wild4" && rules.wild4Challenge && !isLegalWild4(hand, card, topCard(state))) {
+      const bluff = diff === "hard" ? nextCount <= 2 || random() < 0.15 : random() < 0.1;
+      if (!bluff) s -= 45;
+    }
+
+    if (card.color) {
+      const sameColor = hand.filter((c) => c.color === card.color).length;
+      s += sameColor;
+    }
+    if (diff === "hard" && card.type !== "number") s += 2;
+
+    // Without the extra turn, action cards are mostly worth it to slow down a close opponent
+    if (diff === "hard" && !rules.actionsKeepTurn && card.type !== "number" && card.type !== "wild") {
+      s += nextCount <= 2 ? 15 : -8;
+    }
+
+    // Answer a stack with the cheaper colored card and keep the wild for later
+    if (state.pendingDraw > 0 && !isWildCard(card) && isDrawCard(card)) s += 25;
+
+    if (diff === "hard" && knocksOut(state, playerId, card)) s += 60;
+    if (hitsPartner(state, playerId, card)) s -= 60;
+
+    // A 7 is great when someone else holds fewer cards
+    if (rules.sevenZero && card.type === "number" && card.value === 7 && fewestOpponent < hand.length - 1) {
+      s += 25;
+    }
+
+    return s + random() * 0.5;
+  };
+
+  playable.sort((a, b) => score(b) - score(a));
+  return playable[0];
+}
+
+// The opponent with the fewest cards (a partner is better off keeping theirs)
+function pickSwapTarget(state, playerId) {
+  const others = activePlayers(state).filter((id) => id !== playerId && !isPartner(state, playerId, id));
+  others.sort((a, b) => (state.hands[a] || []).length - (state.hands[b] || []).length);
+  return others[0] || null;
+}
+
+function playAction(state, playerId, card, random = Math.random, difficulty = null, memory = null) {
+  let chosenColor = null;
+  if (card.type === "wildColor" && difficulty !== "easy") {
+    chosenColor = rarestColor(state, playerId, random);
+  } else if (isWildCard(card)) {
+    chosenColor =
+      difficulty === "expert"
+        ? expertPickColor(state, playerId, memory, random)
+        : pickColor(state, playerId, random, memory);
+  }
+
+  return {
+    type: "play",
+    playerId,
+    cardId: card.id,
+    chosenColor,
+    swapWith:
+      state.rules.sevenZero && card.type === "number" && card.value === 7
+        ? pickSwapTarget(state, playerId)
+        : null,
+  };
+}
+
+// A jump-in for `playerId` off its turn, or null. Above easy it won't jump in
+// with a card that would hit its partner.
+function chooseJumpIn(state, playerId, difficulty, random = Math.random) {
+  const card = (state.hands[playerId] || []).find(
+    (c) => canJumpIn(state, playerId, c) && (difficulty === "easy" || !hitsPartner(state, playerId, c))
+  );
+  if (!card) return null;
+  return { ...playAction(state, playerId, card, random, difficulty), type: "jumpIn" };
+}
+
+// The next engine action for a CPU whose turn it is. After a "draw" that leaves
+// a drawn card to decide on, call again: the CPU plays it, unless it is an
+// expert keeping a wild for later.
+function chooseAction(state, playerId, difficulty, random = Math.random, memory = null) {
+  const expert = difficulty === "expert";
+
+  if (state.challenge) {
+    const challenge = shouldChallengeWild4(state, playerId, difficulty, random, memory);
+    return { type: challenge ? "challengeWild4" : "acceptWild4", playerId };
+  }
+
+  if (state.drawnCardId != null) {
+    const drawn = (state.hands[playerId] || []).find((c) => c.id === state.drawnCardId);
+    if (drawn && expert && expertHoldsWild(state, playerId, drawn)) return { type: "pass", playerId };
+    if (drawn) return playAction(state, playerId, drawn, random, difficulty, memory);
+  }
+
+  if (!state.unoStatus[playerId] && shouldCallUno(state, playerId, difficulty, random)) {
+    return { type: "yellUno", playerId };
+  }
+
+  const chosen = chooseCard(state, playerId, difficulty, random, memory);
+  if (chosen && expert && expertHoldsWild(state, playerId, chosen)) return { type: "draw", playerId };
+  if (chosen) return playAction(state, playerId, chosen, random, difficulty, memory);
+
+  return { type: "draw", playerId };
+}
+
+module.exports = {
+  pickColor,
+  partnerOf,
+  hitsPartner,
+  shouldCallUno,
+  catchReaction,
+  jumpInReaction,
+  shouldChallengeWild4,
+  rarestColor,
+  expertPickColor,
+  expertChooseCard,
+  chooseCard,
+  pickSwapTarget,
+  chooseJumpIn,
+  chooseAction,
+};
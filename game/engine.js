@@ -0,0 +1,952 @@
+// Pure UNO rules engine: (state, action) -> { state, events }.
+// No sockets, timers, clocks or Math.random; the state's seed drives all shuffles.
+
+const { normalizeSeed, nextRandom } = require("./rng");
+
+const COLORS = ["red", "yellow", "green", "blue"];
+const HAND_SIZE = 7;
+const MERCY_LIMIT = 25; // "no mercy" deck: a hand this big is out of the game
+
+// ------------------ DECK / RULES ------------------
+
+// classic: the 108-card deck
+// flip:    double-sided; a Flip card turns every card over to its harsher dark side
+// noMercy: the classic deck plus Wild +6 and Wild +10, and MERCY_LIMIT knocks players out
+const DECKS = ["classic", "flip", "noMercy"];
+
+// Every wild's type starts with "wild"
+const WILD_TYPES = ["wild", "wild2", "wild4", "wild6", "wild10", "wildColor"];
+
+// How many cards the next player draws, per draw card
+const DRAW_AMOUNTS = { draw1: 1, draw2: 2, wild2: 2, wild4: 4, draw5: 5, wild6: 6, wild10: 10 };
+
+// Cards that keep the turn under actionsKeepTurn (plain wilds and Flip don't)
+const ACTION_TYPES = ["skip", "reverse", "skipAll", "wildColor", ...Object.keys(DRAW_AMOUNTS)];
+
+const CARD_NAMES = { skip: "Skip", reverse: "Reverse", skipAll: "Skip Everyone", flip: "Flip", draw1: "+1", draw2: "+2", draw5: "+5" };
+const WILD_NAMES = { wild: "Wild", wild2: "Wild +2", wild4: "Wild +4", wild6: "Wild +6", wild10: "Wild +10", wildColor: "Wild Draw Color" };
+
+// One side of a deck: per color an optional 0, two of each of 1-9 and two of
+// each action; then four of each wild
+function deckFaces({ zero, actions, wilds }) {
+  const faces = [];
+  COLORS.forEach((color) => {
+    if (zero) faces.push({ color, value: 0, type: "number" });
+    for (let v = 1; v <= 9; v++) {
+      faces.push({ color, value: v, type: "number" });
+      faces.push({ color, value: v, type: "number" });
+    }
+    actions.forEach((type) => {
+      faces.push({ color, value: null, type });
+      faces.push({ color, value: null, type });
+    });
+  });
+
+  for (let i = 0; i < 4; i++) {
+    wilds.forEach((type) => faces.push({ color: null, value: null, type }));
+  }
+  return faces;
+}
+
+// Flip cards carry their other face in `back`. Light and dark faces are paired
+// the same way in every deck, as if printed: stepping through the dark side by
+// a stride coprime with its size uses each face once.
+const FLIP_STRIDE = 37;
+
+function createDeck(variant = "classic") {
+  if (variant === "flip") {
+    const light = deckFaces({ zero: false, actions: ["draw1", "reverse", "skip", "flip"], wilds: ["wild", "wild2"] });
+    const dark = deckFaces({ zero: false, actions: ["draw5", "reverse", "skipAll", "flip"], wilds: ["wild", "wildColor"] });
+    return light.map((face, i) => ({
+      id: i + 1,
+      ...face,
+      back: { ...dark[(i * FLIP_STRIDE) % dark.length], dark: true },
+    }));
+  }
+
+  const wilds = variant === "noMercy" ? ["wild", "wild4", "wild6", "wild10"] : ["wild", "wild4"];
+  return deckFaces({ zero: true, actions: ["skip", "reverse", "draw2"], wilds }).map((face, i) => ({ id: i + 1, ...face }));
+}
+
+function shuffle(state, array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(nextRandom(state) * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+}
+
+function drawOne(state, events) {
+  if (state.deck.length === 0) {
+    if (state.discardPile.length <= 1) return null;
+    const top = state.discardPile.pop();
+    state.deck = state.discardPile;
+    state.discardPile = [top];
+    // Wilds go back to being colorless when reshuffled
+    state.deck.forEach((card) => {
+      if (isWildCard(card)) card.color = null;
+    });
+    shuffle(state, state.deck);
+    events.push({ type: "reshuffle", deckCount: state.deck.length });
+  }
+  return state.deck.pop() || null;
+}
+
+function canPlay(card, top) {
+  if (!card || !top) return false;
+  if (isWildCard(card)) return true;
+  if (card.color === top.color) return true;
+  if (card.type === "number" && top.type === "number" && card.value === top.value) return true;
+  if (card.type !== "number" && card.type === top.type) return true;
+  return false;
+}
+
+function describeCard(card) {
+  if (!card) return "";
+  if (card.type === "number") return `${card.color} ${card.value}`;
+  if (isWildCard(card)) return `${WILD_NAMES[card.type]} (${card.color || "no color"})`;
+  return `${card.color} ${CARD_NAMES[card.type]}`;
+}
+
+function isWildCard(card) {
+  return WILD_TYPES.includes(card.type);
+}
+
+function isDrawCard(card) {
+  return card.type in DRAW_AMOUNTS;
+}
+
+function drawAmount(card) {
+  return DRAW_AMOUNTS[card.type] || 0;
+}
+
+// While a stacked penalty is pending: a draw card at least as big as the one on
+// top (+2 or +4 on a +2, only +4 on a +4)
+function canStack(card, top) {
+  if (!card || !top) return false;
+  return isDrawCard(card) && drawAmount(card) >= drawAmount(top);
+}
+
+// A card as its holder sees it: the other side of a Flip card stays hidden
+function cardFace(card) {
+  if (!card) return card;
+  const { back, ...face } = card;
+  return face;
+}
+
+// ------------------ RULESETS ------------------
+
+// actionsKeepTurn: Skip/Reverse/Draw 2/Wild +4 give the player another turn
+// stacking:        a Draw 2/Wild +4 can be answered with another one to pass the total on
+// drawMode:        "one" draws a single card, "untilPlayable" keeps drawing until one fits
+// afterDraw:       "autoPlay" plays a playable drawn card, "choose" lets the player play it or pass
+// sevenZero:       a 7 swaps hands with another player, a 0 rotates all hands
+// wild4Challenge:  a Wild +4 is only legal without a card of the current color, and the
+//                  next player may accept it or challenge it (not combined with stacking)
+// deck:            one of DECKS
+// jumpIn:          anyone holding an exact copy of the top card (color and number or
+//                  action) may play it out of turn; play goes on from them
+const RULE_PRESETS = {
+  house: {
+    actionsKeepTurn: true,
+    stacking: false,
+    drawMode: "one",
+    afterDraw: "autoPlay",
+    sevenZero: false,
+    wild4Challenge: false,
+    deck: "classic",
+    jumpIn: false,
+  },
+  official: {
+    actionsKeepTurn: false,
+    stacking: false,
+    drawMode: "one",
+    afterDraw: "choose",
+    sevenZero: false,
+    wild4Challenge: true,
+    deck: "classic",
+    jumpIn: false,
+  },
+};
+
+function resolveRules(input) {
+  const opts = input && typeof input === "object" ? input : {};
+  const preset = RULE_PRESETS[opts.preset] ? opts.preset : "house";
+  const rules = { preset, ...RULE_PRESETS[preset] };
+
+  if (typeof opts.actionsKeepTurn === "boolean") rules.actionsKeepTurn = opts.actionsKeepTurn;
+  if (typeof opts.stacking === "boolean") rules.stacking = opts.stacking;
+  if (typeof opts.sevenZero === "boolean") rules.sevenZero = opts.sevenZero;
+  if (typeof opts.wild4Challenge === "boolean") rules.wild4Challenge = opts.wild4Challenge;
+  if (typeof opts.jumpIn === "boolean") rules.jumpIn = opts.jumpIn;
+  if (opts.drawMode === "one" || opts.drawMode === "untilPlayable") rules.drawMode = opts.drawMode;
+  if (opts.afterDraw === "autoPlay" || opts.afterDraw === "choose") rules.afterDraw = opts.afterDraw;
+  if (DECKS.includes(opts.deck)) rules.deck = opts.deck;
+
+  return rules;
+}
+
+// ------------------ SEATS / TURN ORDER ------------------
+
+function seatLabel(state, playerId) {
+  if (state.labels && state.labels[playerId]) return state.labels[playerId];
+  const index = state.players.indexOf(playerId);
+  return index === -1 ? "Player" : `P${index + 1}`;
+}
+
+// Knocked out by the "no mercy" hand limit (states from before it have no `out`)
+function isOut(state, playerId) {
+  return !!state.out && state.out.includes(playerId);
+}
+
+function activePlayers(state) {
+  return state.players.filter((id) => id && !isOut(state, id));
+}
+
+// Team play: `state.teams` maps each player to a team id, null otherwise
+function teamOf(state, playerId) {
+  return (state.teams && state.teams[playerId]) || null;
+}
+
+function isPartner(state, playerId, otherId) {
+  return playerId !== otherId && !!teamOf(state, playerId) && teamOf(state, playerId) === teamOf(state, otherId);
+}
+
+// Walks `steps` seats still in the game from `fromId` in the current play direction.
+// In a 2-seat game, two steps lands back on the same player.
+function nextPlayerId(state, fromId, steps = 1) {
+  const seats = state.players;
+  const n = seats.length;
+  const dir = state.direction === -1 ? -1 : 1;
+  let index = seats.indexOf(fromId);
+  if (index === -1) return fromId;
+
+  let remaining = steps;
+  let guard = n * (steps + 1);
+  while (remaining > 0 && guard-- > 0) {
+    index = (index + dir + n) % n;
+    if (seats[index] && !isOut(state, seats[index])) remaining--;
+  }
+  return seats[index] || fromId;
+}
+
+// ------------------ QUERIES ------------------
+
+function topCard(state) {
+  return state.discardPile[state.discardPile.length - 1] || null;
+}
+
+// Officially a Wild +4 may only be played without a card of the current color
+function isLegalWild4(hand, card, top) {
+  return !hand.some((c) => c.id !== card.id && c.color && top && c.color === top.color);
+}
+
+// Whether `card` may be played right now by the current player
+function isPlayableNow(state, card) {
+  const top = topCard(state);
+  if (state.challenge) return false;
+  if (state.drawnCardId != null && card.id !== state.drawnCardId) return false;
+  if (state.pendingDraw > 0) return canStack(card, top);
+  return canPlay(card, top);
+}
+
+// Jump-in: `card` is an exact copy of the top card and `playerId` is not the one
+// on turn. Wilds never match exactly, and nobody jumps into a pending stack or Wild +4.
+function canJumpIn(state, playerId, card) {
+  const top = topCard(state);
+  if (!state.rules.jumpIn || state.isGameOver || !top || !card) return false;
+  if (playerId === state.currentTurn || !activePlayers(state).includes(playerId)) return false;
+  if (state.challenge || state.pendingDraw > 0 || isWildCard(card)) return false;
+  return card.color === top.color && card.type === top.type && card.value === top.value;
+}
+
+function playableCards(state, playerId) {
+  if (state.isGameOver || state.currentTurn !== playerId) return [];
+  return (state.hands[playerId] || []).filter((c) => isPlayableNow(state, c));
+}
+
+// Every way to play `card`: a wild once per color, a 7 under 7-0 once per swap target
+function cardMoves(state, playerId, card, type = "play") {
+  const seated = activePlayers(state);
+  if (isWildCard(card)) {
+    return COLORS.map((color) => ({ type, playerId, cardId: card.id, chosenColor: color }));
+  }
+  if (state.rules.sevenZero && card.type === "number" && card.value === 7 && seated.length > 2) {
+    return seated.filter((id) => id !== playerId).map((id) => ({ type, playerId, cardId: card.id, swapWith: id }));
+  }
+  return [{ type, playerId, cardId: card.id }];
+}
+
+// Every action `playerId` may take right now, ready to pass to applyAction
+function legalMoves(state, playerId) {
+  const seated = activePlayers(state);
+  if (state.isGameOver || !seated.includes(playerId)) return [];
+
+  const moves = [];
+  const hand = state.hands[playerId] || [];
+
+  if (state.unoExposed && state.unoExposed !== playerId) {
+    moves.push({ type: "catchUno", playerId, target: state.unoExposed });
+  }
+  if (state.unoExposed === playerId || (hand.length > 0 && hand.length <= 2 && !state.unoStatus[playerId])) {
+    moves.push({ type: "yellUno", playerId });
+  }
+  if (state.currentTurn !== playerId) {
+    hand.filter((c) => canJumpIn(state, playerId, c)).forEach((c) => moves.push(...cardMoves(state, playerId, c, "jumpIn")));
+    return moves;
+  }
+
+  if (state.challenge) {
+    moves.push({ type: "acceptWild4", playerId }, { type: "challengeWild4", playerId });
+    return moves;
+  }
+
+  playableCards(state, playerId).forEach((card) => moves.push(...cardMoves(state, playerId, card)));
+
+  moves.push({ type: state.drawnCardId != null ? "pass" : "draw", playerId });
+  return moves;
+}
+
+// ------------------ GAME SETUP ------------------
+
+// players: seat-ordered ids (null for empty seats); labels: optional id -> display name;
+// teams: optional id -> team id, a team winning as soon as one of its players goes out
+function createGame({ players, labels = {}, rules, seed, teams = null }) {
+  const state = {
+    seed: normalizeSeed(seed),
+    rng: normalizeSeed(seed),
+    players: players.slice(),
+    labels: { ...labels },
+    teams: teams ? { ...teams } : null,
+    rules: resolveRules(rules),
+
+    deck: null,
+    discardPile: [],
+    hands: {},
+    direction: 1,
+    currentTurn: null,
+    pendingDraw: 0,
+    drawnCardId: null,
+    unoStatus: {},
+    unoExposed: null, // player left on one card without calling UNO, until the next turn action
+    challenge: null, // { playerId, victimId, legal, resumeWith } while a Wild +4 awaits an answer
+    specialEffect: null,
+    side: "light", // flip deck: which side of every card is face up
+    out: [], // no mercy deck: players knocked out by the hand limit
+
+    isGameOver: false,
+    winner: null,
+    message: "",
+    turnCount: 0,
+  };
+  const events = [];
+
+  state.deck = createDeck(state.rules.deck);
+  shuffle(state, state.deck);
+
+  const seated = activePlayers(state);
+  seated.forEach((pid) => {
+    state.hands[pid] = [];
+  });
+
+  for (let i = 0; i < HAND_SIZE; i++) {
+    seated.forEach((pid) => {
+      const card = drawOne(state, events);
+      if (card) state.hands[pid].push(card);
+    });
+  }
+
+  // first discard card
+  let first = drawOne(state, events);
+  if (!first) first = { id: 9999, color: "red", value: 0, type: "number" };
+  if (isWildCard(first)) {
+    first.color = COLORS[Math.floor(nextRandom(state) * COLORS.length)];
+  }
+  state.discardPile.push(first);
+
+  // pick starter
+  state.currentTurn = seated[Math.floor(nextRandom(state) * seated.length)];
+
+  events.push({
+    type: "deal",
+    seed: state.seed,
+    players: seated,
+    starter: state.currentTurn,
+    top: { ...first },
+  });
+
+  return { state, events };
+}
+
+// ------------------ UNO CALLS ------------------
+
+// Going down to one card without having called UNO leaves the player exposed:
+// any opponent may catch them (catchUno) until the next turn action.
+function checkUnoExposure(state, events, playerId) {
+  const hand = state.hands[playerId];
+  const unoCalled = !!state.unoStatus[playerId];
+  state.unoStatus[playerId] = false; // consume
+
+  if (hand.length === 1 && !unoCalled) {
+    state.unoExposed = playerId;
+    events.push({ type: "unoExposed", playerId });
+  }
+}
+
+// ------------------ ACTIONS ------------------
+
+function giveCards(state, events, playerId, count) {
+  const hand = state.hands[playerId];
+  let given = 0;
+  for (let i = 0; i < count; i++) {
+    const drawn = drawOne(state, events);
+    if (!drawn) break;
+    hand.push(drawn);
+    given++;
+  }
+  return given;
+}
+
+// 7: swap hands with the chosen player. 0: every hand moves one seat along the direction of play.
+function applySevenZero(state, playerId, card, swapWith) {
+  if (card.value === 7 && swapWith && swapWith !== playerId) {
+    const mine = state.hands[playerId];
+    state.hands[playerId] = state.hands[swapWith];
+    state.hands[swapWith] = mine;
+    return `${seatLabel(state, playerId)} swapped hands with ${seatLabel(state, swapWith)}.`;
+  }
+
+  if (card.value === 0) {
+    const seated = activePlayers(state);
+    const passed = {};
+    seated.forEach((id) => {
+      passed[nextPlayerId(state, id)] = state.hands[id];
+    });
+    seated.forEach((id) => {
+      state.hands[id] = passed[id];
+    });
+    return "All hands rotated!";
+  }
+
+  return "";
+}
+
+// Wild Draw Color: the victim draws until they turn up the chosen color
+function drawUntilColor(state, events, playerId, color) {
+  const hand = state.hands[playerId];
+  let count = 0;
+  let drawn = null;
+  do {
+    drawn = drawOne(state, events);
+    if (!drawn) break;
+    hand.push(drawn);
+    count++;
+  } while (drawn.color !== color);
+  return count;
+}
+
+function advanceTurn(state, nextId) {
+  state.drawnCardId = null;
+  state.currentTurn = nextId;
+  state.turnCount++;
+}
+
+function play(state, events, { playerId, cardId, chosenColor, swapWith, auto }) {
+  const rules = state.rules;
+  const hand = state.hands[playerId] || [];
+  const index = hand.findIndex((c) => c.id === cardId);
+  if (index === -1) return "Card not in hand.";
+
+  const card = hand[index];
+
+  if (state.drawnCardId != null && card.id !== state.drawnCardId) {
+    return "You can only play the card you just drew, or pass.";
+  }
+  if (state.pendingDraw > 0 && !isPlayableNow(state, card)) {
+    return `Stack a draw card or draw ${state.pendingDraw}.`;
+  }
+
+  if (isWildCard(card)) {
+    if (!chosenColor || !COLORS.includes(chosenColor)) return "Must choose a color for wild.";
+  } else {
+    if (!isPlayableNow(state, card)) return "You can't play that card.";
+  }
+
+  // Judged on the hand as it was before the play
+  const wild4Legal = card.type === "wild4" ? isLegalWild4(hand, card, topCard(state)) : true;
+
+  const seated = activePlayers(state);
+  let swapTarget = null;
+  if (rules.sevenZero && card.type === "number" && card.value === 7) {
+    swapTarget = seated.length === 2 ? nextPlayerId(state, playerId) : swapWith;
+    if (!swapTarget || swapTarget === playerId || !seated.includes(swapTarget)) {
+      return "Choose a player to swap hands with.";
+    }
+  }
+
+  if (isWildCard(card)) card.color = chosenColor;
+
+  // Remove and discard
+  hand.splice(index, 1);
+  state.discardPile.push(card);
+  state.drawnCardId = null;
+
+  // Special effect
+  state.specialEffect = SPECIAL_EFFECTS[card.type] || null;
+
+  events.push({
+    type: "play",
+    playerId,
+    card: { ...card },
+    chosenColor: isWildCard(card) ? chosenColor : null,
+    swapWith: swapTarget,
+    auto: !!auto,
+  });
+
+  checkUnoExposure(state, events, playerId);
+
+  // Win
+  if (hand.length === 0) {
+    state.isGameOver = true;
+    state.winner = playerId;
+    state.pendingDraw = 0;
+    state.message = "🏁 Game over!";
+    events.push({ type: "win", playerId, team: teamOf(state, playerId) });
+    return null;
+  }
+
+  if (card.type === "reverse") state.direction = state.direction === -1 ? 1 : -1;
+  if (card.type === "flip") {
+    flipAll(state);
+    events.push({ type: "flip", playerId, side: state.side });
+  }
+
+  const victimId = nextPlayerId(state, playerId);
+  const challengeable =
+    card.type === "wild4" && rules.wild4Challenge && !rules.stacking && victimId !== playerId;
+  let nextId;
+
+  if (isDrawCard(card) && rules.stacking) {
+    // The next player answers the stack (or draws it) on their own turn
+    state.pendingDraw = (state.pendingDraw || 0) + drawAmount(card);
+    nextId = victimId;
+  } else {
+    if (isDrawCard(card) && victimId !== playerId && !challengeable) {
+      const count = giveCards(state, events, victimId, drawAmount(card));
+      events.push({ type: "draw", playerId: victimId, count, reason: card.type });
+    } else if (card.type === "wildColor" && victimId !== playerId) {
+      const count = drawUntilColor(state, events, victimId, chosenColor);
+      events.push({ type: "draw", playerId: victimId, count, reason: card.type });
+    }
+
+    const isAction = ACTION_TYPES.includes(card.type);
+
+    // Officially Skip and the draw cards pass over the next seat, Reverse acts
+    // like a Skip with only two players, and Skip Everyone comes straight back.
+    // The house rule keeps the turn instead.
+    const skipsNext =
+      card.type === "skip" ||
+      card.type === "wildColor" ||
+      isDrawCard(card) ||
+      (card.type === "reverse" && seated.length === 2);
+
+    if (card.type === "skipAll" || (rules.actionsKeepTurn && isAction)) nextId = playerId;
+    else nextId = nextPlayerId(state, playerId, skipsNext ? 2 : 1);
+  }
+
+  let message = `${seatLabel(state, playerId)} played ${describeCard(card)}`;
+  if (state.pendingDraw > 0) message += ` (+${state.pendingDraw} stacked)`;
+  if (card.type === "flip") message += `. Everything flips to the ${state.side} side!`;
+  if (rules.sevenZero && card.type === "number") {
+    const swapMessage = applySevenZero(state, playerId, card, swapTarget);
+    if (swapMessage) message += `. ${swapMessage}`;
+    // Swapped or rotated onto a different hand: nothing left to catch
+    const exposed = state.unoExposed;
+    if (exposed && (state.hands[exposed] || []).length !== 1) state.unoExposed = null;
+  }
+
+  // The victim answers the Wild +4 first; play resumes with `nextId` afterwards
+  if (challengeable) {
+    state.challenge = { playerId, victimId, legal: wild4Legal, resumeWith: nextId };
+    events.push({ type: "wild4Pending", playerId, victimId });
+    message += `. ${seatLabel(state, victimId)} may accept or challenge`;
+    nextId = victimId;
+  }
+  state.message = message;
+
+  advanceTurn(state, nextId);
+  return null;
+}
+
+// ------------------ FLIP ------------------
+
+function flipCard(card) {
+  const { id, back, ...face } = card;
+  if (isWildCard(face)) face.color = null; // a wild's color only lasts while it's on top
+  return { id, ...back, back: face };
+}
+
+// Turns every card over: hands, deck and discard pile. A wild that ends up on
+// top keeps the color that was in play.
+function flipAll(state) {
+  const color = topCard(state).color;
+  state.deck = state.deck.map(flipCard);
+  state.discardPile = state.discardPile.map(flipCard);
+  Object.keys(state.hands).forEach((id) => {
+    state.hands[id] = state.hands[id].map(flipCard);
+  });
+  state.side = state.side === "dark" ? "light" : "dark";
+
+  const top = topCard(state);
+  if (isWildCard(top)) top.color = color;
+}
+
+// ------------------ NO MERCY ------------------
+
+// Anyone holding MERCY_LIMIT cards is out, their cards going under the deck.
+// The last player left wins...
+function applyMercyRule(state, events) {
+  if (state.isGameOver) return;
+  const knockedOut = activePlayers(state).filter((id) => (state.hands[id] || []).length >= MERCY_LIMIT);
+  if (knockedOut.length === 0) return;
+
+  knockedOut.forEach((id) => {
+    state.deck.unshift(...state.hands[id]);
+    state.hands[id] = [];
+    state.out.push(id);
+    state.unoStatus[id] = false;
+    if (state.unoExposed === id) state.unoExposed = null;
+    events.push({ type: "eliminated", playerId: id, limit: MERCY_LIMIT });
+  });
+  const names = knockedOut.map((id) => seatLabel(state, id)).join(" and ");
+  state.message += ` 💀 ${names} hit ${MERCY_LIMIT} cards and ${knockedOut.length === 1 ? "is" : "are"} out!`;
+
+  // A Wild +4 can't be settled with someone who is gone
+  const challenge = state.challenge;
+  if (challenge && (isOut(state, challenge.playerId) || isOut(state, challenge.victimId))) state.challenge = null;
+
+  // ...or the last team, in team play
+  const left = activePlayers(state);
+  if (left.every((id) => id === left[0] || isPartner(state, id, left[0]))) {
+    state.isGameOver = true;
+    state.winner = left[0];
+    state.pendingDraw = 0;
+    state.drawnCardId = null;
+    state.message += " 🏁 Game over!";
+    events.push({ type: "win", playerId: left[0], team: teamOf(state, left[0]) });
+    return;
+  }
+
+  if (isOut(state, state.currentTurn)) advanceTurn(state, nextPlayerId(state, state.currentTurn));
+}
+
+// ------------------ WILD +4 CHALLENGE ------------------
+
+function acceptWild4(state, events, { playerId }) {
+  const challenge = state.challenge;
+  if (!challenge) return "There is no Wild +4 to answer.";
+
+  state.challenge = null;
+  const count = giveCards(state, events, playerId, 4);
+  events.push({ type: "draw", playerId, count, reason: "wild4" });
+  state.message = `${seatLabel(state, playerId)} accepts the Wild +4 and draws ${count} cards.`;
+  advanceTurn(state, challenge.resumeWith);
+  return null;
+}
+
+// Illegal: the player who played it draws 4 and the challenger plays on.
+// Legal: the challenger draws 6 and loses the turn.
+function challengeWild4(state, events, { playerId }) {
+  const challenge = state.challenge;
+  if (!challenge) return "There is no Wild +4 to challenge.";
+
+  state.challenge = null;
+  const challenger = seatLabel(state, playerId);
+  const offender = seatLabel(state, challenge.playerId);
+
+  if (!challenge.legal) {
+    const count = giveCards(state, events, challenge.playerId, 4);
+    events.push({ type: "challenge", playerId, target: challenge.playerId, success: true });
+    events.push({ type: "penalty", playerId: challenge.playerId, count, reason: "wild4Illegal" });
+    state.message = `⚖️ ${challenger} challenged and won! ${offender} had a matching color and draws ${count}.`;
+    advanceTurn(state, playerId);
+    return null;
+  }
+
+  const count = giveCards(state, events, playerId, 6);
+  events.push({ type: "challenge", playerId, target: challenge.playerId, success: false });
+  events.push({ type: "penalty", playerId, count, reason: "wild4Challenge" });
+  state.message = `⚖️ ${challenger} challenged and lost. The Wild +4 was legal, so ${challenger} draws ${count}.`;
+  advanceTurn(state, challenge.resumeWith);
+  return null;
+}
+
+// Takes a stacked penalty, or draws per the active draw rules
+function draw(state, events, { playerId }) {
+  const rules = state.rules;
+  if (state.drawnCardId != null) return "You already drew. Play that card or pass.";
+
+  state.unoStatus[playerId] = false;
+  state.specialEffect = null;
+
+  state.hands[playerId] = state.hands[playerId] || [];
+  const hand = state.hands[playerId];
+  const label = seatLabel(state, playerId);
+
+  if (state.pendingDraw > 0) {
+    const count = giveCards(state, events, playerId, state.pendingDraw);
+    state.pendingDraw = 0;
+    events.push({ type: "draw", playerId, count, reason: "stack" });
+    state.message = `${label} takes the stack and draws ${count} cards.`;
+    advanceTurn(state, nextPlayerId(state, playerId));
+    return null;
+  }
+
+  const top = topCard(state);
+  let drawn = null;
+  let count = 0;
+  do {
+    drawn = drawOne(state, events);
+    if (!drawn) break;
+    hand.push(drawn);
+    count++;
+  } while (rules.drawMode === "untilPlayable" && !canPlay(drawn, top));
+
+  events.push({ type: "draw", playerId, count, reason: "turn" });
+
+  if (count === 0) {
+    state.message = "No cards left to draw. Turn passes.";
+    advanceTurn(state, nextPlayerId(state, playerId));
+    return null;
+  }
+
+  const playable = !!drawn && canPlay(drawn, top);
+  const drewText = count === 1 ? "drew a card" : `drew ${count} cards`;
+
+  if (playable && rules.afterDraw === "autoPlay" && !isWildCard(drawn)) {
+    return play(state, events, { playerId, cardId: drawn.id, chosenColor: null, auto: true });
+  }
+
+  state.message = `${label} ${drewText}.`;
+
+  // A playable card the player gets to decide on. With draw-one auto-play a
+  // drawn wild is simply kept, as before.
+  const mayChoose =
+    playable && (rules.afterDraw === "choose" || rules.drawMode === "untilPlayable");
+
+  if (mayChoose) {
+    state.drawnCardId = drawn.id;
+    return null;
+  }
+
+  advanceTurn(state, nextPlayerId(state, playerId));
+  return null;
+}
+
+// Keep the card drawn under "choose after drawing" and end the turn
+function pass(state, events, { playerId }) {
+  if (state.drawnCardId == null) return "You can only pass after drawing.";
+
+  events.push({ type: "pass", playerId });
+  state.message = `${seatLabel(state, playerId)} kept the card and passed.`;
+  advanceTurn(state, nextPlayerId(state, playerId));
+  return null;
+}
+
+function yellUno(state, events, { playerId }) {
+  if (!activePlayers(state).includes(playerId)) return "Only players can yell UNO.";
+  const hand = state.hands[playerId] || [];
+  if (hand.length > 2) return "You can only yell UNO with 2 or fewer cards.";
+
+  // A late call still counts as long as nobody caught them first
+  const late = state.unoExposed === playerId;
+  if (!late && state.unoStatus[playerId]) return "You already yelled UNO.";
+  if (late) state.unoExposed = null;
+  else state.unoStatus[playerId] = true;
+
+  events.push({ type: "uno", playerId, late });
+  state.message = late
+    ? `UNO! ${seatLabel(state, playerId)} yelled UNO just in time!`
+    : `UNO! ${seatLabel(state, playerId)} yelled UNO!`;
+  return null;
+}
+
+function catchUno(state, events, { playerId, target }) {
+  if (!state.unoExposed || state.unoExposed !== target) return "Too late — nobody to catch.";
+  if (target === playerId) return "You can't catch yourself.";
+  if (!activePlayers(state).includes(playerId)) return "Only players can catch UNO.";
+
+  state.unoExposed = null;
+  const count = giveCards(state, events, target, 2);
+  events.push({ type: "penalty", playerId: target, count, reason: "caught", by: playerId });
+  state.message = `🚨 ${seatLabel(state, playerId)} caught ${seatLabel(state, target)} without UNO! ${seatLabel(state, target)} draws ${count}.`;
+  return null;
+}
+
+// ------------------ JUMP-IN ------------------
+
+// An exact copy of the top card, played out of turn. The turn jumps to that
+// player and the card works as if they had played it on their own turn.
+function jumpIn(state, events, { playerId, cardId, swapWith }) {
+  const card = (state.hands[playerId] || []).find((c) => c.id === cardId);
+  if (!card) return "Card not in hand.";
+  if (!canJumpIn(state, playerId, card)) return "You can only jump in with an exact copy of the top card.";
+
+  const skipped = state.currentTurn;
+  state.unoExposed = null;
+  state.drawnCardId = null;
+  state.currentTurn = playerId;
+  events.push({ type: "jumpIn", playerId, skipped });
+
+  const error = play(state, events, { playerId, cardId, swapWith });
+  if (error) return error;
+  state.message = `⚡ ${seatLabel(state, playerId)} jumped in! ${state.message}`;
+  return null;
+}
+
+// What the clock does for a player who ran out of time: the first legal card
+// that isn't a wild, else a wild in the color they hold most of, else a draw
+// (or a pass once they drew)
+function autoMove(state, playerId) {
+  const hand = state.hands[playerId] || [];
+  const plays = legalMoves(state, playerId).filter((m) => m.type === "play");
+  const isWild = (move) => isWildCard(hand.find((c) => c.id === move.cardId));
+
+  const plain = plays.find((move) => !isWild(move));
+  if (plain) return plain;
+
+  if (plays.length > 0) {
+    const counts = {};
+    hand.forEach((c) => {
+      if (!isWildCard(c)) counts[c.color] = (counts[c.color] || 0) + 1;
+    });
+    const color = COLORS.reduce((best, c) => ((counts[c] || 0) > (counts[best] || 0) ? c : best), COLORS[0]);
+    return plays.find((move) => move.chosenColor === color) || plays[0];
+  }
+
+  return { type: state.drawnCardId != null ? "pass" : "draw", playerId };
+}
+
+// The turn clock ran out (or the player is disconnected)
+function timeout(state, events, { playerId, away }) {
+  events.push({ type: "timeout", playerId, away: !!away });
+
+  // A stacked penalty or a Wild +4 can't be dodged by letting the clock run out
+  if (state.challenge) return acceptWild4(state, events, { playerId });
+  if (state.pendingDraw > 0) return draw(state, events, { playerId });
+
+  // Otherwise the clock plays or draws for them, so stalling never pays. A
+  // playable drawn card is then played right away too.
+  for (let step = 0; step < 2; step++) {
+    const move = autoMove(state, playerId);
+    const error = ACTIONS[move.type](state, events, { ...move, auto: move.type === "play" });
+    if (error) return error;
+    if (state.isGameOver || state.currentTurn !== playerId || state.drawnCardId == null) break;
+  }
+
+  const label = seatLabel(state, playerId);
+  state.message = away
+    ? `${label} is reconnecting… ${state.message}`
+    : `⏱️ Time's up for ${label}. ${state.message}`;
+  return null;
+}
+
+const ACTIONS = { play, draw, pass, yellUno, catchUno, acceptWild4, challengeWild4, timeout, jumpIn };
+
+// What the client animates when these are played
+const SPECIAL_EFFECTS = { wild4: "wild4", wild6: "wild4", wild10: "wild4", flip: "flip" };
+
+// Actions that only the player whose turn it is may take. Each one also
+// closes the window for catching a missed UNO call.
+const TURN_ACTIONS = ["play", "draw", "pass", "acceptWild4", "challengeWild4", "timeout"];
+
+// What the current player may do while a Wild +4 awaits an answer
+const CHALLENGE_ACTIONS = ["acceptWild4", "challengeWild4", "timeout"];
+
+// Applies one action to a copy of `state`. On error the original state is returned unchanged.
+function applyAction(state, action) {
+  const handler = action && ACTIONS[action.type];
+  if (!handler) return { state, events: [], error: "Unknown action." };
+  if (state.isGameOver) return { state, events: [], error: "The game is over." };
+  if (TURN_ACTIONS.includes(action.type) && action.playerId !== state.currentTurn) {
+    return { state, events: [], error: "Not your turn." };
+  }
+  if (state.challenge && TURN_ACTIONS.includes(action.type) && !CHALLENGE_ACTIONS.includes(action.type)) {
+    return { state, events: [], error: "Accept or challenge the Wild +4 first." };
+  }
+
+  const next = structuredClone(state);
+  const events = [];
+  if (TURN_ACTIONS.includes(action.type)) next.unoExposed = null;
+
+  const error = handler(next, events, action);
+  if (error) return { state, events: [], error };
+
+  if (next.rules.deck === "noMercy") applyMercyRule(next, events);
+  return { state: next, events };
+}
+
+// Re-keys a player (e.g. after a reconnect gives them a new socket id)
+function renamePlayer(state, oldId, newId) {
+  const next = structuredClone(state);
+  const rekey = (map) => {
+    if (map && oldId in map) {
+      map[newId] = map[oldId];
+      delete map[oldId];
+    }
+  };
+
+  next.players = next.players.map((id) => (id === oldId ? newId : id));
+  rekey(next.hands);
+  rekey(next.unoStatus);
+  rekey(next.labels);
+  rekey(next.teams);
+  if (next.currentTurn === oldId) next.currentTurn = newId;
+  if (next.winner === oldId) next.winner = newId;
+  if (next.out) next.out = next.out.map((id) => (id === oldId ? newId : id));
+  if (next.unoExposed === oldId) next.unoExposed = newId;
+  if (next.challenge) {
+    ["playerId", "victimId", "resumeWith"].forEach((key) => {
+      if (next.challenge[key] === oldId) next.challenge[key] = newId;
+    });
+  }
+  return next;
+}
+
+// Actions any seated player may take at any time
+const OFF_TURN_ACTIONS = ["yellUno", "catchUno"];
+
+module.exports = {
+  COLORS,
+  DECKS,
+  MERCY_LIMIT,
+  TURN_ACTIONS,
+  OFF_TURN_ACTIONS,
+  RULE_PRESETS,
+  resolveRules,
+
+  createDeck,
+  canPlay,
+  canStack,
+  cardFace,
+  describeCard,
+  isWildCard,
+  isDrawCard,
+  drawAmount,
+  isLegalWild4,
+
+  seatLabel,
+  isOut,
+  activePlayers,
+  teamOf,
+  isPartner,
+  nextPlayerId,
+  topCard,
+  isPlayableNow,
+  canJumpIn,
+  playableCards,
+  legalMoves,
+
+  createGame,
+  applyAction,
+  renamePlayer,
+};
@@ -0,0 +1,104 @@
+// Per-game event log: every engine action with its events and a snapshot of the
+// table afterwards. Exported as JSON for disputes and the client's replay viewer.
+
+const { topCard } = require("./engine");
+
+const LOG_FORMAT = "uno-game-log";
+const LOG_VERSION = 1;
+
+// Everything the replay viewer needs to draw the table at one point in time
+function snapshotOf(state) {
+  const hands = {};
+  Object.keys(state.hands).forEach((id) => {
+    hands[id] = state.hands[id].map((c) => ({ ...c }));
+  });
+
+  return {
+    hands,
+    top: topCard(state),
+    deckCount: state.deck.length,
+    currentTurn: state.currentTurn,
+    direction: state.direction,
+    pendingDraw: state.pendingDraw,
+    challenge: state.challenge,
+    specialEffect: state.specialEffect,
+    isGameOver: state.isGameOver,
+    winner: state.winner,
+    message: state.message,
+  };
+}
+
+function createGameLog({ roomCode, gameId, state, events, cpuDifficulty = null, now = Date.now() }) {
+  return {
+    format: LOG_FORMAT,
+    version: LOG_VERSION,
+    roomCode,
+    gameId,
+    seed: state.seed,
+    rules: state.rules,
+    players: state.players.slice(),
+    labels: { ...state.labels },
+    cpuDifficulty,
+    startedAt: now,
+    entries: [
+      {
+        seq: 0,
+        at: now,
+        action: { type: "deal" },
+        cpu: false,
+        events,
+        snapshot: snapshotOf(state),
+      },
+    ],
+  };
+}
+
+// `cpu` marks actions chosen by the CPU rather than sent by a player
+function appendLogEntry(log, { action, events, state, cpu = false, now = Date.now() }) {
+  log.entries.push({
+    seq: log.entries.length,
+    at: now,
+    action: { ...action },
+    cpu,
+    events,
+    snapshot: snapshotOf(state),
+  });
+}
+
+// A reconnect gives a player a new socket id; rewrite every mention of the old one
+function renamePlayerInLog(log, oldId, newId) {
+  const rename = (value) => {
+    if (value === oldId) return newId;
+    if (Array.isArray(value)) return value.map(rename);
+    if (value && typeof value === "object") {
+      const out = {};
+      Object.keys(value).forEach((key) => {
+        out[key === oldId ? newId : key] = rename(value[key]);
+      });
+      return out;
+    }
+    return value;
+  };
+
+  log.players = rename(log.players);
+  log.labels = rename(log.labels);
+  log.entries = rename(log.entries);
+}
+
+function isGameLog(data) {
+  return !!(
+    data &&
+    data.format === LOG_FORMAT &&
+    Array.isArray(data.players) &&
+    Array.isArray(data.entries) &&
+    data.entries.length > 0
+  );
+}
+
+module.exports = {
+  snapshotOf,
+  createGameLog,
+  appendLogEntry,
+  renamePlayerInLog,
+  isGameLog,
+};
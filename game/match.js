@@ -0,0 +1,99 @@
+// Multi-round matches with official scoring: the round winner scores the cards
+// left in everyone else's hand, and the first to the target score wins the match.
+
+const DEFAULT_TARGET_SCORE = 500;
+
+// Cards not listed score 20 (skip, reverse, draw2, flip, draw5)
+const CARD_POINTS = { draw1: 10, skipAll: 30, wild: 50, wild2: 50, wild4: 50, wild6: 50, wild10: 50, wildColor: 60 };
+
+function cardPoints(card) {
+  if (card.type === "number") return card.value;
+  return CARD_POINTS[card.type] || 20;
+}
+
+function clampTargetScore(n) {
+  const target = Math.floor(Number(n));
+  if (!Number.isFinite(target) || target <= 0) return DEFAULT_TARGET_SCORE;
+  return Math.min(target, 5000);
+}
+
+// players: whoever scores, player ids or team ids
+function createMatch(players, targetScore) {
+  const scores = {};
+  players.forEach((id) => {
+    if (id) scores[id] = 0;
+  });
+  return {
+    targetScore: clampTargetScore(targetScore),
+    scores,
+    rounds: [],
+    winner: null,
+  };
+}
+
+// Points per hand at the end of a finished round (engine state). In team play
+// hands count per team and the winning team scores both opponents' hands.
+function scoreRound(state) {
+  const sideOf = (id) => (state.teams && state.teams[id]) || id;
+  const winner = state.winner ? sideOf(state.winner) : null;
+  const breakdown = {};
+  let points = 0;
+
+  state.players.forEach((id) => {
+    if (!id) return;
+    const hand = state.hands[id] || [];
+    const handPoints = hand.reduce((sum, c) => sum + cardPoints(c), 0);
+    const entry = breakdown[sideOf(id)] || (breakdown[sideOf(id)] = { cards: 0, points: 0 });
+    entry.cards += hand.length;
+    entry.points += handPoints;
+    if (sideOf(id) !== winner) points += handPoints;
+  });
+
+  return { winner, points, breakdown };
+}
+
+// Adds a finished round to the match; returns a new match object
+function recordRound(match, state, gameId) {
+  const round = { gameId, ...scoreRound(state) };
+  const scores = { ...match.scores };
+  if (round.winner) scores[round.winner] = (scores[round.winner] || 0) + round.points;
+
+  const winner =
+    round.winner && scores[round.winner] >= match.targetScore ? round.winner : match.winner;
+
+  return {
+    ...match,
+    scores,
+    rounds: match.rounds.concat(round),
+    winner,
+  };
+}
+
+function renamePlayerInMatch(match, oldId, newId) {
+  const rekey = (map) => {
+    if (!(oldId in map)) return map;
+    const out = { ...map, [newId]: map[oldId] };
+    delete out[oldId];
+    return out;
+  };
+
+  return {
+    ...match,
+    scores: rekey(match.scores),
+    rounds: match.rounds.map((r) => ({
+      ...r,
+      winner: r.winner === oldId ? newId : r.winner,
+      breakdown: rekey(r.breakdown),
+    })),
+    winner: match.winner === oldId ? newId : match.winner,
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGET_SCORE,
+  cardPoints,
+  createMatch,
+  scoreRound,
+  recordRound,
+  renamePlayerInMatch,
+};
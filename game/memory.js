@@ -0,0 +1,141 @@
+// What a CPU remembers about the table, built only from public events: every
+// card played since the last reshuffle, how many cards each other player drew,
+// colors they have shown they lack or hold, and the colors they pick for wilds.
+// The expert plays on it, and in team play every level reads its partner.
+// Feed it every action with observe(memory, stateBefore, events, stateAfter).
+
+const { COLORS, nextPlayerId, topCard, isWildCard } = require("./engine");
+
+// `discardPile`: the pile as dealt, so the starting card counts as seen
+function createMemory(playerId, discardPile = []) {
+  return {
+    playerId,
+    seen: discardPile.map(faceOf), // cards played since the last reshuffle, top card last
+    lacks: {}, // opponentId -> { color: true } they drew instead of playing
+    chose: {}, // opponentId -> last color they picked for a wild
+    showed: {}, // opponentId -> color of the last colored card they played
+    played: {}, // opponentId -> cards played this game
+    drawn: {}, // opponentId -> cards drawn this game
+  };
+}
+
+// What's printed on a card: a wild's color is only the one chosen for it
+function faceOf(card) {
+  return { type: card.type, value: card.value, color: isWildCard(card) ? null : card.color };
+}
+
+const HAND_KNOWLEDGE = ["lacks", "chose", "showed"];
+
+function forget(memory, id) {
+  HAND_KNOWLEDGE.forEach((key) => delete memory[key][id]);
+}
+
+// Hands moved between players (7-0): whatever we knew moves with them
+function moveKnowledge(memory, moves) {
+  HAND_KNOWLEDGE.forEach((key) => {
+    const moved = { ...memory[key] };
+    Object.keys(moves).forEach((from) => delete moved[from]);
+    Object.keys(moves).forEach((from) => {
+      if (memory[key][from]) moved[moves[from]] = memory[key][from];
+    });
+    memory[key] = moved;
+  });
+}
+
+// Colors missing from a hand we have seen ourselves (the one we just swapped away)
+function missingColors(hand) {
+  const lacks = {};
+  COLORS.forEach((color) => {
+    if (!hand.some((c) => c.color === color)) lacks[color] = true;
+  });
+  return lacks;
+}
+
+// `after`, the state the events led to, is only read when the cards flip over
+function observe(memory, before, events, after = null) {
+  const self = memory.playerId;
+  const top = topCard(before);
+  const activeColor = top ? top.color : null;
+
+  events.forEach((event) => {
+    const id = event.playerId;
+    const own = id === self;
+
+    // The pile under the top card went back into the deck
+    if (event.type === "reshuffle") {
+      memory.seen = memory.seen.slice(-1);
+      return;
+    }
+
+    if (event.type === "draw" && !own) {
+      memory.drawn[id] = (memory.drawn[id] || 0) + event.count;
+      // Drawing on their own turn with nothing pending means no card of the active color
+      const voluntary = event.reason === "turn" && before.pendingDraw === 0 && before.drawnCardId == null;
+      if (voluntary && activeColor) {
+        memory.lacks[id] = memory.lacks[id] || {};
+        memory.lacks[id][activeColor] = true;
+      } else if (!voluntary) {
+        forget(memory, id); // forced draws bring random new cards
+      }
+      return;
+    }
+
+    if ((event.type === "penalty" || event.type === "eliminated") && !own) {
+      forget(memory, id);
+      return;
+    }
+
+    // Every hand just turned over, and so did the pile
+    if (event.type === "flip") {
+      HAND_KNOWLEDGE.forEach((key) => {
+        memory[key] = {};
+      });
+      memory.seen = after ? after.discardPile.map(faceOf) : [];
+      return;
+    }
+
+    if (event.type !== "play") return;
+
+    const card = event.card;
+    memory.seen.push(faceOf(card));
+    if (!own) {
+      memory.played[id] = (memory.played[id] || 0) + 1;
+      if (card.color && memory.lacks[id]) delete memory.lacks[id][card.color];
+      if (event.chosenColor) memory.chose[id] = event.chosenColor;
+      else if (card.color) memory.showed[id] = card.color;
+    }
+
+    if (!before.rules.sevenZero || card.type !== "number") return;
+    if (card.value === 7 && event.swapWith) {
+      moveKnowledge(memory, { [id]: event.swapWith, [event.swapWith]: id });
+      // Whoever got our old hand holds exactly what we saw
+      const other = own ? event.swapWith : event.swapWith === self ? id : null;
+      if (other) {
+        const given = own ? before.hands[self].filter((c) => c.id !== card.id) : before.hands[self];
+        memory.lacks[other] = missingColors(given);
+      }
+    } else if (card.value === 0) {
+      const moves = {};
+      before.players.filter(Boolean).forEach((pid) => {
+        moves[pid] = nextPlayerId(before, pid);
+      });
+      moveKnowledge(memory, moves);
+    }
+  });
+}
+
+function renamePlayerInMemory(memory, oldId, newId) {
+  HAND_KNOWLEDGE.concat("played", "drawn").forEach((key) => {
+    const map = memory[key];
+    if (!(oldId in map)) return;
+    map[newId] = map[oldId];
+    delete map[oldId];
+  });
+  if (memory.playerId === oldId) memory.playerId = newId;
+}
+
+module.exports = {
+  createMemory,
+  observe,
+  renamePlayerInMemory,
+};
@@ -0,0 +1,266 @@
+// Player profiles, game history and ratings, kept in one JSON file.
+// A nickname belongs to whoever claimed it first; the profile token handed out
+// then is what proves it later (only its hash is stored).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { BUILTIN_LEVELS } = require("./bots");
+
+const START_RATING = 1200;
+const K_FACTOR = 32;
+const MAX_GAMES = 10000; // oldest games are dropped from the history past this
+const SAVE_DELAY_MS = 1000;
+
+function normalizeNickname(value) {
+  if (typeof value !== "string") return null;
+  const nickname = value.trim().replace(/\s+/g, " ");
+  return /^[\w -]{2,20}$/.test(nickname) ? nickname : null;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function newProfile(nickname) {
+  const vsCpu = {};
+  BUILTIN_LEVELS.forEach((level) => {
+    vsCpu[level] = { wins: 0, losses: 0 };
+  });
+  return {
+    id: crypto.randomBytes(6).toString("hex"),
+    nickname,
+    tokenHash: null,
+    createdAt: Date.now(),
+    rating: START_RATING,
+    rated: { games: 0, wins: 0, losses: 0 }, // human-only games
+    vsCpu,
+    games: 0,
+  };
+}
+
+function publicProfile(profile) {
+  const { tokenHash, ...rest } = profile;
+  return rest;
+}
+
+// Multiplayer Elo: the winner beat every other player at the table, each
+// pairing weighted so a game is worth K in total. Returns profileId -> change.
+function eloChanges(ratings, winnerId) {
+  const others = Object.keys(ratings).filter((id) => id !== winnerId);
+  const changes = { [winnerId]: 0 };
+  if (others.length === 0) return changes;
+
+  const k = K_FACTOR / others.length;
+  others.forEach((id) => {
+    const expected = 1 / (1 + Math.pow(10, (ratings[id] - ratings[winnerId]) / 400));
+    const delta = k * (1 - expected);
+    changes[winnerId] += delta;
+    changes[id] = -delta;
+  });
+  Object.keys(changes).forEach((id) => {
+    changes[id] = Math.round(changes[id]);
+  });
+  return changes;
+}
+
+function createProfileStore(file) {
+  let data = { profiles: {}, games: [] };
+  let saveTimer = null;
+
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Could not read ${file}, starting with no profiles:`, err.message);
+  }
+
+  let writing = Promise.resolve(); // one write at a time, in order
+  let pendingWrites = 0;
+  let closed = false; // flushed for shutdown: anything still queued is stale
+
+  function writeNow() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+    }
+    const json = JSON.stringify(data);
+    pendingWrites++;
+    writing = writing.then(async () => {
+      try {
+        if (closed) return;
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, json);
+        if (!closed) await fs.promises.rename(`${file}.tmp`, file);
+      } catch (err) {
+        console.warn(`Could not save ${file}:`, err.message);
+      } finally {
+        pendingWrites--;
+      }
+    });
+  }
+
+  // Synchronous, for process exit only. It has a tmp file of its own, as
+  // a write from writeNow may still be going on.
+  function flush() {
+    if (!saveTimer && pendingWrites === 0) return;
+    if (saveTimer) clearTimeout(saveTimer);
+    saveTimer = null;
+    closed = true;
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.exit.tmp`, JSON.stringify(data));
+      fs.renameSync(`${file}.exit.tmp`, file);
+    } catch (err) {
+      console.warn(`Could not save ${file}:`, err.message);
+    }
+  }
+
+  // Changes come in bursts (a finished game touches several profiles)
+  function save() {
+    if (!saveTimer) saveTimer = setTimeout(writeNow, SAVE_DELAY_MS);
+  }
+
+  function byNickname(nickname) {
+    const key = nickname.toLowerCase();
+    return Object.values(data.profiles).find((p) => p.nickname.toLowerCase() === key) || null;
+  }
+
+  function byToken(token) {
+    if (typeof token !== "string" || !token) return null;
+    const hash = hashToken(token);
+    return Object.values(data.profiles).find((p) => p.tokenHash === hash) || null;
+  }
+
+  // Signs in with a token, claims a new nickname, or renames a signed-in profile.
+  // Returns { profile, token } or { error }.
+  function identify({ nickname, token } = {}) {
+    const existing = byToken(token);
+    const wanted = nickname == null || nickname === "" ? null : normalizeNickname(nickname);
+    if (nickname && !wanted) return { error: "Nicknames are 2-20 letters, digits, spaces, - or _." };
+
+    if (existing) {
+      if (wanted && wanted !== existing.nickname) {
+        const owner = byNickname(wanted);
+        if (owner && owner !== existing) return { error: `The nickname "${wanted}" is taken.` };
+        existing.nickname = wanted;
+        save();
+      }
+      return { profile: existing, token };
+    }
+
+    if (!wanted) return { error: token ? "That profile no longer exists." : "Pick a nickname first." };
+    if (byNickname(wanted)) return { error: `The nickname "${wanted}" is taken.` };
+
+    const profile = newProfile(wanted);
+    const newToken = crypto.randomBytes(16).toString("hex");
+    profile.tokenHash = hashToken(newToken);
+    data.profiles[profile.id] = profile;
+    save();
+    return { profile, token: newToken };
+  }
+
+  function get(profileId) {
+    return (profileId && data.profiles[profileId]) || null;
+  }
+
+  // seats: [{ seat, profileId, bot, team }] in seat order, `bot` being the bot kind or null
+  // and `team` the team id in team play, where the winner's partner wins too.
+  // A game is rated when it is humans only, every one of them signed in, and not team play.
+  function recordGame({ roomCode, gameId, startedAt, endedAt, rules, cpuDifficulty, seats, winnerSeat }) {
+    const humans = seats.filter((s) => !s.bot);
+    const profiled = humans.filter((s) => get(s.profileId));
+    const distinct = new Set(profiled.map((s) => s.profileId)).size === profiled.length;
+    const winner = seats.find((s) => s.seat === winnerSeat) || null;
+    const teams = seats.some((s) => s.team);
+    const won = (s) => s === winner || (teams && !!winner && s.team === winner.team);
+    const rated =
+      !!winner && !teams && humans.length === seats.length && profiled.length === humans.length && humans.length >= 2 && distinct;
+
+    let ratingChanges = null;
+    if (rated) {
+      const ratings = {};
+      profiled.forEach((s) => {
+        ratings[s.profileId] = get(s.profileId).rating;
+      });
+      ratingChanges = eloChanges(ratings, winner.profileId);
+      profiled.forEach((s) => {
+        const profile = get(s.profileId);
+        profile.rating += ratingChanges[s.profileId];
+        profile.rated.games++;
+        if (s === winner) profile.rated.wins++;
+        else profile.rated.losses++;
+      });
+    }
+
+    // Win/loss against each CPU level at the table
+    const levels = [...new Set(seats.map((s) => s.bot).filter((kind) => BUILTIN_LEVELS.includes(kind)))];
+    profiled.forEach((s) => {
+      const profile = get(s.profileId);
+      profile.games++;
+      levels.forEach((level) => {
+        if (won(s)) profile.vsCpu[level].wins++;
+        else profile.vsCpu[level].losses++;
+      });
+    });
+
+    const game = {
+      roomCode,
+      gameId,
+      startedAt,
+      endedAt,
+      durationMs: endedAt - startedAt,
+      rules,
+      cpuDifficulty: cpuDifficulty || null,
+      participants: seats.map((s) => ({
+        seat: s.seat,
+        profileId: get(s.profileId) ? s.profileId : null,
+        nickname: get(s.profileId) ? get(s.profileId).nickname : null,
+        bot: s.bot || null,
+        team: s.team || null,
+      })),
+      winner: winnerSeat,
+      winningTeam: teams && winner ? winner.team : null,
+      rated,
+      ratingChanges,
+    };
+    data.games.push(game);
+    if (data.games.length > MAX_GAMES) data.games.splice(0, data.games.length - MAX_GAMES);
+    save();
+    return game;
+  }
+
+  function leaderboard(limit = 50) {
+    return Object.values(data.profiles)
+      .filter((p) => p.rated.games > 0)
+      .sort((a, b) => b.rating - a.rating || b.rated.games - a.rated.games)
+      .slice(0, limit)
+      .map(publicProfile);
+  }
+
+  // Most recent first
+  function history(profileId, limit = 50) {
+    const games = [];
+    for (let i = data.games.length - 1; i >= 0 && games.length < limit; i--) {
+      if (data.games[i].participants.some((p) => p.profileId === profileId)) games.push(data.games[i]);
+    }
+    return games;
+  }
+
+  return {
+    identify,
+    get,
+    recordGame,
+    leaderboard,
+    history,
+    flush, // pending changes, before the process exits
+  };
+}
+
+module.exports = {
+  START_RATING,
+  normalizeNickname,
+  publicProfile,
+  eloChanges,
+  createProfileStore,
+};
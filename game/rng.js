@@ -0,0 +1,42 @@
+// Seeded random numbers (mulberry32) so a seed reproduces shuffles and CPU choices
+
+// Turns any seed (number or string) into a uint32
+function normalizeSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+
+  // FNV-1a over the string form
+  const str = String(seed ?? "");
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// One mulberry32 step: returns the next internal state and a float in [0, 1)
+function step(a) {
+  const next = (a + 0x6d2b79f5) | 0;
+  let t = Math.imul(next ^ (next >>> 15), 1 | next);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return { next: next >>> 0, value: ((t ^ (t >>> 14)) >>> 0) / 4294967296 };
+}
+
+// Draws from an object carrying its own `rng` field (e.g. the engine state)
+function nextRandom(holder) {
+  const { next, value } = step(holder.rng);
+  holder.rng = next;
+  return value;
+}
+
+// Standalone generator, a drop-in for Math.random
+function createRandom(seed) {
+  const holder = { rng: normalizeSeed(seed) };
+  return () => nextRandom(holder);
+}
+
+module.exports = {
+  normalizeSeed,
+  nextRandom,
+  createRandom,
+};
@@ -0,0 +1,82 @@
+// Minimal payload schemas for socket events. A schema maps field names to specs:
+//
+//   { type: "string", pattern, maxLength }   { type: "integer", min, max }
+//   { type: "boolean" }   { type: "object", fields }   { type: "array", items, maxItems }
+//   { enum: [...] }   { anyOf: [spec, ...] }
+//
+// plus `optional: true` (absent or null is fine). Fields not in the schema are dropped.
+
+function checkValue(spec, value, name) {
+  if (value === undefined || value === null) {
+    return spec.optional ? { value: null } : { error: `${name} is required` };
+  }
+
+  if (spec.anyOf) {
+    for (const option of spec.anyOf) {
+      const res = checkValue({ ...option, optional: false }, value, name);
+      if (!res.error) return res;
+    }
+    return { error: `${name} is not valid` };
+  }
+
+  if (spec.enum) {
+    return spec.enum.includes(value) ? { value } : { error: `${name} must be one of ${spec.enum.join(", ")}` };
+  }
+
+  switch (spec.type) {
+    case "string":
+      if (typeof value !== "string") return { error: `${name} must be a string` };
+      if (spec.maxLength != null && value.length > spec.maxLength) return { error: `${name} is too long` };
+      if (spec.pattern && !spec.pattern.test(value)) return { error: `${name} is not valid` };
+      return { value };
+
+    case "integer":
+      if (!Number.isInteger(value)) return { error: `${name} must be a whole number` };
+      if ((spec.min != null && value < spec.min) || (spec.max != null && value > spec.max)) {
+        return { error: `${name} is out of range` };
+      }
+      return { value };
+
+    case "boolean":
+      if (typeof value !== "boolean") return { error: `${name} must be true or false` };
+      return { value };
+
+    case "object":
+      if (typeof value !== "object" || Array.isArray(value)) return { error: `${name} must be an object` };
+      return spec.fields ? checkFields(spec.fields, value, `${name}.`) : { value };
+
+    case "array": {
+      if (!Array.isArray(value)) return { error: `${name} must be a list` };
+      if (spec.maxItems != null && value.length > spec.maxItems) return { error: `${name} has too many entries` };
+      const items = [];
+      for (let i = 0; i < value.length; i++) {
+        const res = checkValue(spec.items, value[i], `${name}[${i}]`);
+        if (res.error) return res;
+        items.push(res.value);
+      }
+      return { value: items };
+    }
+
+    default:
+      return { error: `${name} has no schema` };
+  }
+}
+
+function checkFields(fields, payload, prefix = "") {
+  const value = {};
+  for (const key of Object.keys(fields)) {
+    const res = checkValue(fields[key], payload[key], `${prefix}${key}`);
+    if (res.error) return res;
+    if (res.value !== null) value[key] = res.value;
+  }
+  return { value };
+}
+
+// Returns { value } with only the known fields, or { error } naming the first bad one
+function validate(schema, payload) {
+  if (payload === undefined || payload === null) payload = {};
+  if (typeof payload !== "object" || Array.isArray(payload)) return { error: "payload must be an object" };
+  return checkFields(schema, payload);
+}
+
+module.exports = { validate };
@@ -1,9 +1,43 @@
-// UNO-like online server using Express + Socket.IO (with optional CPU opponent)
+// UNO-like online server using Express + Socket.IO (with optional CPU and bot seats)
+// Game rules live in game/engine.js; this file owns rooms, sockets and timers.
 
 const express = require("express");
 const http = require("http");
 const { Server } = require("socket.io");
 const path = require("path");
+const crypto = require("crypto");
+const fs = require("fs");
+
+const {
+  COLORS,
+  DECKS,
+  OFF_TURN_ACTIONS,
+  RULE_PRESETS,
+  resolveRules,
+  createGame,
+  applyAction,
+  renamePlayer,
+  topCard,
+  cardFace,
+  isOut,
+  legalMoves,
+} = require("./game/engine");
+const {
+  BUILTIN_LEVELS,
+  viewFor,
+  eventsFor,
+  moveFromBot,
+  fallbackMove,
+  createBuiltinBot,
+  isBot: isBotObject,
+  loadLocalBots,
+} = require("./game/bots");
+const { createGameLog, appendLogEntry, renamePlayerInLog, isGameLog } = require("./game/log");
+const { createMatch, recordRound, renamePlayerInMatch } = require("./game/match");
+const { publicProfile, createProfileStore } = require("./game/profiles");
+const { validate } = require("./game/validate");
+const { createAuditLog } = require("./game/audit");
+const { MAX_CHAT_LENGTH, EMOTES, cleanChatText, cpuEmote } = require("./game/chat");
 
 const app = express();
 const server = http.createServer(app);
@@ -11,88 +45,443 @@ const io = new Server(server);
 
 app.use(express.static(path.join(__dirname, "public")));
 
+const PROFILE_FILE = process.env.PROFILE_FILE || path.join(__dirname, "data", "profiles.json");
+const profiles = createProfileStore(PROFILE_FILE);
+
+app.get("/leaderboard", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "leaderboard.html"));
+});
+
+app.get("/profile/:id", (req, res) => {
+  res.sendFile(path.join(__dirname, "public", "profile.html"));
+});
+
+app.get("/api/leaderboard", (req, res) => {
+  res.json(profiles.leaderboard(Math.min(200, Number(req.query.limit) || 50)));
+});
+
+app.get("/api/profiles/:id", (req, res) => {
+  const profile = profiles.get(req.params.id);
+  if (!profile) return res.status(404).json({ error: "Profile not found." });
+  res.json({ profile: publicProfile(profile), games: profiles.history(profile.id) });
+});
+
 const rooms = {}; // roomCode -> state
 const CPU_ID = "CPU";
 
-// ------------------ DECK / RULES ------------------
+const MIN_SEATS = 2;
+const MAX_SEATS = 10;
+
+const TURN_MS = 20000; // default turn length; rooms pick their own, or 0 for no clock
+const MIN_TURN_MS = 5000;
+const MAX_TURN_MS = 120000;
+const AWAY_TURN_MS = 3000; // turns of a disconnected player are played quickly, clock or not
+const CHALLENGE_MS = 10000; // to accept or challenge a Wild +4 before it is accepted for you
+const AFK_TIMEOUTS = 2; // timeouts in a row before a player is shown as AFK
+const STAND_IN_TIMEOUTS = 3; // ...and a CPU plays their seat until they are back
+const STAND_IN_LEVEL = "medium";
+const RECONNECT_GRACE_MS = 60000;
+const ROUND_BREAK_MS = 10000; // between-rounds summary in match mode
+const LOBBY_THROTTLE_MS = 250;
+const QUEUE_CPU_FALLBACK_MS = 30000; // quick match falls back to a CPU after this long, if asked to
+const BOT_TIMEOUT_MS = 5000; // a bot that takes longer gets the fallback move (draw/pass/accept)
+const MAX_THINK_MS = 10000;
+const MAX_ROOMS = 8000; // of the 9000 room codes, so a free one is always found quickly
+const MAX_ROOMS_PER_SOCKET = 3; // unfinished rooms one connection may have created
+
+const CPU_DIFFICULTIES = BUILTIN_LEVELS;
+const BOT_DIR = process.env.BOT_DIR || path.join(__dirname, "bots");
+const BOT_TOKEN = process.env.BOT_TOKEN || null; // required from remote bots when set
+
+// ------------------ SEATS ------------------
+
+function clampSeatCount(n) {
+  const count = Math.floor(Number(n));
+  if (!Number.isFinite(count)) return MIN_SEATS;
+  return Math.max(MIN_SEATS, Math.min(MAX_SEATS, count));
+}
 
-function createDeck() {
-  const colors = ["red", "yellow", "green", "blue"];
-  const deck = [];
-  let idCounter = 1;
+function seatLabel(room, playerId) {
+  if (playerId === CPU_ID) return "CPU";
+  const index = room.players.indexOf(playerId);
+  return index === -1 ? "Player" : `P${index + 1}`;
+}
 
-  colors.forEach((color) => {
-    deck.push({ id: idCounter++, color, value: 0, type: "number" });
-    for (let v = 1; v <= 9; v++) {
-      deck.push({ id: idCounter++, color, value: v, type: "number" });
-      deck.push({ id: idCounter++, color, value: v, type: "number" });
-    }
-    ["skip", "reverse", "draw2"].forEach((action) => {
-      deck.push({ id: idCounter++, color, value: null, type: action });
-      deck.push({ id: idCounter++, color, value: null, type: action });
-    });
+function activePlayers(room) {
+  return room.players.filter((id) => id);
+}
+
+function isBot(room, playerId) {
+  return !!(room.bots && room.bots[playerId]);
+}
+
+// A human's seat a CPU plays while they are AFK (see TIMERS)
+function isStandIn(room, playerId) {
+  return isBot(room, playerId) && !!room.bots[playerId].standIn;
+}
+
+// Timed out enough turns in a row to be shown as away from the keyboard
+function isAfk(room, seatIndex) {
+  const id = room.players[seatIndex];
+  return !!id && ((room.timeouts[seatIndex] || 0) >= AFK_TIMEOUTS || isStandIn(room, id));
+}
+
+function humanPlayers(room) {
+  return activePlayers(room).filter((id) => !isBot(room, id) || isStandIn(room, id));
+}
+
+// ------------------ TEAMS ------------------
+
+// 2v2: seats across the table are partners, P1 & P3 against P2 & P4
+const TEAM_SEATS = 4;
+
+function teamOfSeat(seatIndex) {
+  return `T${(seatIndex % 2) + 1}`;
+}
+
+function teamLabel(team) {
+  return `Team ${team.slice(1)}`;
+}
+
+// playerId -> team id, for the engine
+function teamMap(room) {
+  const teams = {};
+  room.players.forEach((id, seatIndex) => {
+    if (id) teams[id] = teamOfSeat(seatIndex);
+  });
+  return teams;
+}
+
+// Team id -> seats, as clients see it
+function teamSeats(room) {
+  const teams = {};
+  room.players.forEach((id, seatIndex) => {
+    const team = teamOfSeat(seatIndex);
+    (teams[team] = teams[team] || []).push(`P${seatIndex + 1}`);
+  });
+  return teams;
+}
+
+function clampTurnMs(ms) {
+  if (ms == null) return TURN_MS;
+  const n = Math.floor(Number(ms));
+  if (!Number.isFinite(n)) return TURN_MS;
+  if (n <= 0) return 0;
+  return Math.max(MIN_TURN_MS, Math.min(MAX_TURN_MS, n));
+}
+
+function newRoom({
+  code,
+  players,
+  rules,
+  match,
+  isCpuGame = false,
+  cpuDifficulty = null,
+  isPrivate = false,
+  passcode = null,
+  createdBy = null,
+  turnMs,
+  teams = false,
+  message,
+}) {
+  return {
+    code,
+    players,
+    createdBy, // socket id of whoever asked for the room, for MAX_ROOMS_PER_SOCKET
+    isPrivate: !!isPrivate, // left out of the lobby, joinable by code only
+    passcode: normalizePasscode(passcode),
+    rules: resolveRules(rules),
+    teams: !!teams, // 2v2 team play (see TEAMS), always four seats
+    game: null, // engine state, created on each deal
+    log: null, // event log of the current game
+
+    // Match mode: rounds are dealt until someone reaches the target score
+    matchTarget: match && typeof match === "object" ? match.targetScore || null : null,
+    isMatch: !!(match && typeof match === "object"),
+    match: null,
+    nextRoundAt: null,
+    roundTimer: null,
+
+    rematchVotes: {}, // playerId -> true, after "gameover"
+    seatProfiles: {}, // seatIndex -> profile id of a signed-in player
+    chat: { enabled: true, muted: {} }, // muted: seatIndex -> true, both set by the owner
+    gameStartedAt: null,
+
+    spectators: {}, // socketId -> joinedAt
+    revealHands: false, // owner (seat P1) may show every hand to spectators
+
+    isGameOver: false,
+    winner: null,
+    message,
+    turnMs: clampTurnMs(turnMs), // 0: no clock
+    turnTimeout: null,
+    turnClock: null, // { since, deadline } of the running turn timer
+    timeouts: {}, // seatIndex -> turns timed out in a row
+    bots: {}, // playerId -> bot seat (see BOTS)
+
+    sessions: {},
+    away: {},
+    awayTimers: {},
+
+    gameId: 0,
+    phase: "waiting",
+    lastMoveAt: Date.now(),
+    turnStartedAt: null, // for the average turn time in /metrics
+    dealAcks: {},
+
+    isCpuGame,
+    cpuDifficulty,
+  };
+}
+
+// ------------------ LOBBY ------------------
+
+const LOBBY = "lobby"; // socket.io room of clients watching the room browser
+let lobbyTimer = null;
+
+function normalizePasscode(value) {
+  if (typeof value !== "string") return null;
+  return value.trim().slice(0, 32) || null;
+}
+
+function checkPasscode(room, passcode) {
+  return !room.passcode || normalizePasscode(passcode) === room.passcode;
+}
+
+function lobbySummary(room) {
+  return {
+    roomCode: room.code,
+    seats: room.players.length,
+    seated: activePlayers(room).length,
+    phase: room.phase,
+    isCpuGame: room.isCpuGame,
+    cpuDifficulty: room.cpuDifficulty,
+    bots: Object.keys(room.bots).filter((id) => !isStandIn(room, id)).length,
+    rules: room.rules,
+    turnMs: room.turnMs,
+    teams: room.teams,
+    isMatch: room.isMatch,
+    hasPasscode: !!room.passcode,
+    spectators: Object.keys(room.spectators).length,
+  };
+}
+
+// Public rooms, the ones still waiting for players first
+function lobbyRooms() {
+  return Object.values(rooms)
+    .filter((room) => !room.isPrivate)
+    .map(lobbySummary)
+    .sort((a, b) => (a.phase === "waiting" ? 0 : 1) - (b.phase === "waiting" ? 0 : 1));
+}
+
+// Room changes come in bursts (a deal is several states), so the lobby gets one update per burst
+function broadcastLobby() {
+  if (lobbyTimer) return;
+  lobbyTimer = setTimeout(() => {
+    lobbyTimer = null;
+    io.to(LOBBY).emit("lobbyRooms", lobbyRooms());
+  }, LOBBY_THROTTLE_MS);
+}
+
+// ------------------ PROFILES ------------------
+
+function profileOfSeat(room, seatIndex) {
+  return profiles.get(room.seatProfiles[seatIndex]);
+}
+
+// Finished games go into the history; signed-in players get their new ratings
+function recordFinishedGame(room, roomCode) {
+  if (!room.game || !room.game.winner) return;
+
+  // A CPU still standing in for an AFK seat at the end played it: the
+  // game goes down as that CPU's, not the absent player's
+  const human = (id) => humanPlayers(room).includes(id) && !isStandIn(room, id);
+  profiles.recordGame({
+    roomCode,
+    gameId: room.gameId,
+    startedAt: room.gameStartedAt || room.lastMoveAt,
+    endedAt: Date.now(),
+    rules: room.rules,
+    cpuDifficulty: room.cpuDifficulty,
+    seats: room.players.map((id, seatIndex) => ({
+      seat: `P${seatIndex + 1}`,
+      profileId: human(id) ? room.seatProfiles[seatIndex] || null : null,
+      bot: human(id) ? null : room.bots[id].kind,
+      team: room.teams ? teamOfSeat(seatIndex) : null,
+    })),
+    winnerSeat: `P${room.players.indexOf(room.game.winner) + 1}`,
   });
 
-  for (let i = 0; i < 4; i++) {
-    deck.push({ id: idCounter++, color: null, value: null, type: "wild" });
-    deck.push({ id: idCounter++, color: null, value: null, type: "wild4" });
+  room.players.forEach((id, seatIndex) => {
+    const profile = profileOfSeat(room, seatIndex);
+    const sock = profile && io.sockets.sockets.get(id);
+    if (sock) sock.emit("profile", { profile: publicProfile(profile) });
+  });
+}
+
+// ------------------ CHAT ------------------
+
+// Chat lines go to everyone in the socket.io room, spectators included, and aren't kept
+function sendChat(room, roomCode, seatIndex, { text = null, emote = null }) {
+  const id = room.players[seatIndex];
+  const profile = profileOfSeat(room, seatIndex);
+  io.to(roomCode).emit("chat", {
+    roomCode,
+    seat: `P${seatIndex + 1}`,
+    name: isBot(room, id) && !isStandIn(room, id) ? room.bots[id].name : profile ? profile.nickname : null,
+    text: emote ? EMOTES[emote] : text,
+    emote,
+    at: Date.now(),
+  });
+}
+
+// Sends the error and returns false when this seat may not chat right now
+function checkChat(socket, room, seatIndex) {
+  if (!room.chat.enabled) {
+    sendError(socket, "CHAT_DISABLED", "Chat is turned off in this room.");
+    return false;
   }
+  if (room.chat.muted[seatIndex]) {
+    sendError(socket, "CHAT_MUTED", "The room owner muted you.");
+    return false;
+  }
+  return true;
+}
 
-  return deck;
+// The built-in CPUs now and then comment on their Wild +4s and wins
+function cpuEmotes(room, roomCode, events) {
+  if (!room.chat.enabled) return;
+  Object.keys(room.bots).forEach((id) => {
+    const seatIndex = room.players.indexOf(id);
+    if (!BUILTIN_LEVELS.includes(room.bots[id].kind) || isStandIn(room, id) || room.chat.muted[seatIndex]) return;
+    const emote = cpuEmote(id, events);
+    if (emote) sendChat(room, roomCode, seatIndex, { emote });
+  });
+}
+
+// ------------------ SESSIONS / RECONNECT ------------------
+
+function issueSessionToken(room, seatIndex) {
+  const token = crypto.randomBytes(16).toString("hex");
+  room.sessions[token] = seatIndex;
+  return token;
+}
+
+function revokeSeatSessions(room, seatIndex) {
+  Object.keys(room.sessions).forEach((token) => {
+    if (room.sessions[token] === seatIndex) delete room.sessions[token];
+  });
+}
+
+function isAway(room, playerId) {
+  return !!(room.away && room.away[playerId]);
+}
+
+function hasConnectedHuman(room) {
+  return humanPlayers(room).some((id) => !isAway(room, id));
+}
+
+// Who a rematch waits for: a disconnected seat doesn't get a say
+function rematchVoters(room) {
+  return humanPlayers(room).filter((id) => !isAway(room, id));
 }
 
-function shuffle(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+function clearAwayTimer(room, playerId) {
+  if (room.awayTimers && room.awayTimers[playerId]) {
+    clearTimeout(room.awayTimers[playerId]);
+    delete room.awayTimers[playerId];
   }
 }
 
-function drawOne(room) {
-  if (room.deck.length === 0) {
-    if (room.discardPile.length <= 1) return null;
-    const top = room.discardPile.pop();
-    room.deck = room.discardPile;
-    room.discardPile = [top];
-    shuffle(room.deck);
+function clearAllAwayTimers(room) {
+  Object.keys(room.awayTimers || {}).forEach((id) => clearAwayTimer(room, id));
+}
+
+// Moves everything keyed by the old socket id over to the reconnected socket
+function reassignPlayer(room, oldId, newId) {
+  const seatIndex = room.players.indexOf(oldId);
+  if (seatIndex !== -1) room.players[seatIndex] = newId;
+
+  if (room.game) room.game = renamePlayer(room.game, oldId, newId);
+  if (room.match) room.match = renamePlayerInMatch(room.match, oldId, newId);
+  if (room.log) renamePlayerInLog(room.log, oldId, newId);
+  Object.values(room.bots).forEach((seat) => {
+    if (seat.reaction && seat.reaction.target === oldId) seat.reaction.target = newId;
+  });
+
+  const acks = room.dealAcks?.[room.gameId || 0];
+  if (acks && acks[oldId]) {
+    acks[newId] = true;
+    delete acks[oldId];
   }
-  return room.deck.pop() || null;
+  if (room.winner === oldId) room.winner = newId;
+  if (room.rematchVotes[oldId]) {
+    room.rematchVotes[newId] = true;
+    delete room.rematchVotes[oldId];
+  }
+
+  clearAwayTimer(room, oldId);
+  delete room.away[oldId];
 }
 
-function canPlay(card, top) {
-  if (!card || !top) return false;
-  if (card.type === "wild" || card.type === "wild4") return true;
-  if (card.color === top.color) return true;
-  if (card.type === "number" && top.type === "number" && card.value === top.value) return true;
-  if (card.type !== "number" && card.type === top.type) return true;
-  return false;
+// Keeps the seat for a while so they can reconnect with their session token
+function markAway(room, roomCode, playerId) {
+  room.away[playerId] = Date.now();
+  clearAwayTimer(room, playerId);
+  room.awayTimers[playerId] = setTimeout(() => expireAway(roomCode, playerId), RECONNECT_GRACE_MS);
 }
 
-function describeCard(card) {
-  if (!card) return "";
-  if (card.type === "number") return `${card.color} ${card.value}`;
-  if (card.type === "draw2") return `${card.color} +2`;
-  if (card.type === "wild") return `Wild (${card.color || "no color"})`;
-  if (card.type === "wild4") return `Wild +4 (${card.color || "no color"})`;
-  const name = card.type === "skip" ? "Skip" : "Reverse";
-  return `${card.color} ${name}`;
+// Before the deal a seat is simply given up; the room closes with its last human
+function freeWaitingSeat(room, roomCode, playerId) {
+  const seatIndex = room.players.indexOf(playerId);
+  room.players[seatIndex] = null;
+  delete room.seatProfiles[seatIndex];
+  delete room.chat.muted[seatIndex];
+  revokeSeatSessions(room, seatIndex);
+  clearAwayTimer(room, playerId);
+  delete room.away[playerId];
+
+  if (humanPlayers(room).length === 0) return deleteRoom(roomCode);
+
+  const seated = activePlayers(room).length;
+  room.message = `Waiting for players to join (${seated}/${room.players.length})...`;
+  room.lastMoveAt = Date.now();
+  sendGameState(roomCode);
 }
 
-// ------------------ UNO PENALTY ------------------
+// Grace period ran out: the seat is forfeited and the game ends
+function expireAway(roomCode, playerId) {
+  const room = rooms[roomCode];
+  if (!room) return;
+  delete room.awayTimers[playerId];
+  if (!isAway(room, playerId)) return;
 
-function maybeApplyUnoPenalty(room, playerId, hand, afterPlayCount) {
-  const unoCalled = !!room.unoStatus[playerId];
-  room.unoStatus[playerId] = false; // consume
+  if (room.phase === "waiting") return freeWaitingSeat(room, roomCode, playerId);
 
-  // After playing a card, if they have exactly 1 card left and didn't call UNO -> +2
-  if (afterPlayCount === 1 && !unoCalled) {
-    for (let i = 0; i < 2; i++) {
-      const penaltyCard = drawOne(room);
-      if (penaltyCard) hand.push(penaltyCard);
-    }
-    room.message = "⚠️ Penalty! You did not yell UNO. You draw 2 cards.";
+  // With a CPU standing in the game goes on without them
+  if (room.phase !== "gameover" && !isStandIn(room, playerId)) {
+    room.message = `${seatLabel(room, playerId)} did not come back. Game over.`;
+    room.isGameOver = true;
+    room.phase = "gameover";
     room.lastMoveAt = Date.now();
+    clearTurnTimer(room);
+    clearBotTimers(room);
+    clearRoundTimer(room);
+    sendGameState(roomCode);
   }
+
+  if (!hasConnectedHuman(room)) deleteRoom(roomCode);
+}
+
+// Deals again once every connected human has voted for a rematch
+function startRematchIfReady(room, roomCode) {
+  const voters = rematchVoters(room);
+  if (voters.length === 0 || voters.some((id) => !room.rematchVotes[id])) return false;
+
+  // A finished match starts over from zero
+  if (room.match && room.match.winner) room.match = null;
+  dealInitialCards(room, roomCode);
+  return true;
 }
 
 // ------------------ TIMERS ------------------
@@ -102,33 +491,52 @@ function clearTurnTimer(room) {
     clearTimeout(room.turnTimeout);
     room.turnTimeout = null;
   }
+  room.turnClock = null;
 }
 
-function clearCpuTimer(room) {
-  if (room.cpuTimer) {
-    clearTimeout(room.cpuTimer);
-    room.cpuTimer = null;
+function clearRoundTimer(room) {
+  if (room.roundTimer) {
+    clearTimeout(room.roundTimer);
+    room.roundTimer = null;
   }
+  room.nextRoundAt = null;
 }
 
-// Human-only timeout (CPU should never “time out”)
-function setTurnTimer(roomCode) {
+// Human-only timeout (bots never “time out”; a slow bot gets its fallback move).
+// `since`: when the turn started, if earlier than now (a room restored after a restart).
+function setTurnTimer(roomCode, since = Date.now()) {
   const room = rooms[roomCode];
   if (!room) return;
 
   clearTurnTimer(room);
 
   if (room.phase !== "playing" || room.isGameOver) return;
-  if (!room.currentTurn) return;
+  if (!room.game || !room.game.currentTurn) return;
 
-  // ✅ Do NOT start a human timeout while CPU is to play
-  if (room.currentTurn === CPU_ID) {
-    // But make sure CPU is scheduled
-    scheduleCpuTurn(roomCode);
+  // ✅ Do NOT start a human timeout while a bot is to play
+  if (isBot(room, room.game.currentTurn)) {
+    // But make sure the bot is scheduled
+    scheduleBotTurn(roomCode, since);
     return;
   }
 
-  const playerToTimeout = room.currentTurn;
+  const playerToTimeout = room.game.currentTurn;
+
+  // A disconnected player's turn is played for them quickly, unless nobody is
+  // left to play against, in which case the game waits for them.
+  const away = isAway(room, playerToTimeout);
+  if (away && !hasConnectedHuman(room)) return;
+
+  // With the clock off only disconnected players and a pending Wild +4
+  // challenge are hurried along
+  const challenge = !!room.game.challenge;
+  if (!away && !challenge && !room.turnMs) return;
+  const turnMs = away
+    ? AWAY_TURN_MS
+    : challenge
+      ? Math.min(CHALLENGE_MS, room.turnMs || CHALLENGE_MS)
+      : room.turnMs;
+  room.turnClock = { since, deadline: since + turnMs };
 
   room.turnTimeout = setTimeout(() => {
     const r = rooms[roomCode];
@@ -136,180 +544,342 @@ function setTurnTimer(roomCode) {
     if (r.phase !== "playing") return;
 
     // If turn already moved, do nothing
-    if (r.currentTurn !== playerToTimeout) return;
-
-    const other = r.players.find((id) => id && id !== playerToTimeout) || playerToTimeout;
-
-    r.message = "⏱️ Turn expired. Turn skipped.";
-    r.currentTurn = other;
-    r.lastMoveAt = Date.now();
+    if (r.game.currentTurn !== playerToTimeout) return;
 
     // clear this timeout
     r.turnTimeout = null;
+    r.turnClock = null;
 
-    sendGameState(roomCode);
+    timeOutPlayer(roomCode, playerToTimeout, away);
+  }, Math.max(0, since + turnMs - Date.now()));
+}
 
-    // ✅ CRITICAL FIX: always schedule CPU if CPU is now up
-    if (r.currentTurn === CPU_ID) {
-      scheduleCpuTurn(roomCode);
-      return;
-    }
+// The clock ran out: the engine plays or draws for them (dispatch then
+// schedules whoever is next). Keep timing out and you are AFK, then a CPU
+// plays your seat until you are back.
+function timeOutPlayer(roomCode, playerId, away) {
+  const room = rooms[roomCode];
+  const seatIndex = room.players.indexOf(playerId);
+  room.timeouts[seatIndex] = (room.timeouts[seatIndex] || 0) + 1;
 
-    // otherwise start timer for next human
-    setTurnTimer(roomCode);
-  }, 20000);
+  dispatch(roomCode, { type: "timeout", playerId, away });
+  if (rooms[roomCode] && !room.isGameOver && room.timeouts[seatIndex] >= STAND_IN_TIMEOUTS) {
+    standIn(room, roomCode, playerId);
+  }
 }
 
-// ------------------ CPU ------------------
+function standIn(room, roomCode, playerId) {
+  if (isBot(room, playerId)) return;
+  const seat = createBotSeat(STAND_IN_LEVEL, { roomCode, seatIndex: room.players.indexOf(playerId) });
+  seat.standIn = true;
+  room.bots[playerId] = seat;
+  tellBot(seat.bot, "newGame", viewFor(room.game, playerId));
 
-function cpuPickColor(room) {
-  const hand = room.hands[CPU_ID] || [];
-  const counts = { red: 0, yellow: 0, green: 0, blue: 0 };
-  for (const c of hand) {
-    if (c.color && counts[c.color] != null) counts[c.color]++;
-  }
-  let best = "red";
-  for (const k of Object.keys(counts)) {
-    if (counts[k] > counts[best]) best = k;
-  }
-  if (counts[best] === 0) {
-    const colors = ["red", "yellow", "green", "blue"];
-    best = colors[Math.floor(Math.random() * colors.length)];
-  }
-  return best;
+  room.message = `💤 ${seatLabel(room, playerId)} is AFK. A CPU plays for them until they are back.`;
+  if (room.game.currentTurn === playerId) setTurnTimer(roomCode);
+  sendGameState(roomCode);
 }
 
-function cpuShouldCallUno(room) {
-  const diff = room.cpuDifficulty || "easy";
-  const hand = room.hands[CPU_ID] || [];
-  if (hand.length !== 2) return false;
+// They did something themselves: the timeout count starts over and a CPU
+// standing in for them gives the seat back. Returns whether one did.
+function releaseStandIn(room, roomCode, playerId) {
+  delete room.timeouts[room.players.indexOf(playerId)];
+  if (!isStandIn(room, playerId)) return false;
+
+  const seat = room.bots[playerId];
+  if (seat.timer) clearTimeout(seat.timer);
+  clearBotReaction(seat);
+  delete room.bots[playerId];
+
+  room.message = `${seatLabel(room, playerId)} is back.`;
+  if (room.phase === "playing" && !room.isGameOver && room.game.currentTurn === playerId) setTurnTimer(roomCode);
+  return true;
+}
 
-  const roll = Math.random();
-  if (diff === "hard") return true;
-  if (diff === "medium") return roll < 0.7;
-  return roll < 0.35;
+// A new deal starts everyone fresh
+function releaseStandIns(room) {
+  Object.keys(room.bots).forEach((id) => {
+    if (isStandIn(room, id)) releaseStandIn(room, room.code, id);
+  });
+  room.timeouts = {};
 }
 
-function cpuChooseCard(room) {
-  const diff = room.cpuDifficulty || "easy";
-  const hand = room.hands[CPU_ID] || [];
-  const top = room.discardPile[room.discardPile.length - 1];
+// ------------------ BOTS ------------------
 
-  const playable = hand.filter((c) => canPlay(c, top));
-  if (playable.length === 0) return null;
+// Every non-human seat is a bot (game/bots.js): a built-in CPU level, a local
+// module from BOT_DIR, or a remote bot connected to the "/bot" namespace.
+// room.bots[playerId] = { kind, bot, name, thinkMs, timer, busy, reaction, reactTimer }
 
-  if (diff === "easy") {
-    return playable[Math.floor(Math.random() * playable.length)];
-  }
+const DEFAULT_THINK_MS = 800;
+
+const localBots = loadLocalBots(BOT_DIR); // name -> createBot(options)
+const remoteBots = {}; // name -> socket on the "/bot" namespace
+
+function clampThinkMs(ms) {
+  const n = Math.floor(Number(ms));
+  if (!Number.isFinite(n)) return DEFAULT_THINK_MS;
+  return Math.max(0, Math.min(MAX_THINK_MS, n));
+}
 
-  const score = (card) => {
-    let s = 0;
-    if (card.type === "wild4") s += 50;
-    else if (card.type === "draw2") s += 30;
-    else if (card.type === "skip" || card.type === "reverse") s += 20;
-    else s += 10;
+// Stands in for a remote bot: asks over its socket, with an ack per question
+function remoteBot(socket, name, roomCode) {
+  const ask = (event) => (view) =>
+    new Promise((resolve) => {
+      if (!socket.connected) return resolve(null);
+      socket.timeout(BOT_TIMEOUT_MS).emit(event, { roomCode, view }, (err, move) => resolve(err ? null : move));
+    });
 
-    if (diff === "hard" && card.type === "wild") s -= 2;
+  return {
+    name,
+    thinkMs: socket.data.thinkMs,
+    act: ask("act"),
+    react: ask("react"),
+    newGame: (view) => socket.emit("newGame", { roomCode, view }),
+    observe: ({ events, view }) => socket.emit("update", { roomCode, events, view }),
+  };
+}
 
-    if (card.color) {
-      const sameColor = hand.filter((c) => c.color === card.color).length;
-      s += sameColor;
+// kind: "easy" | "medium" | "hard" | "expert" | "local:<name>" | "remote:<name>"
+function createBotSeat(kind, { roomCode, seatIndex, thinkMs } = {}) {
+  let bot = null;
+  if (BUILTIN_LEVELS.includes(kind)) {
+    bot = createBuiltinBot(kind);
+  } else if (typeof kind === "string" && kind.startsWith("local:") && localBots[kind.slice(6)]) {
+    try {
+      bot = localBots[kind.slice(6)]({ roomCode, seat: `P${seatIndex + 1}` });
+    } catch (err) {
+      console.warn(`Bot ${kind} could not be created:`, err.message);
     }
-    if (diff === "hard" && card.type !== "number") s += 2;
+  } else if (typeof kind === "string" && kind.startsWith("remote:") && remoteBots[kind.slice(7)]) {
+    bot = remoteBot(remoteBots[kind.slice(7)], kind.slice(7), roomCode);
+  }
+  if (!isBotObject(bot)) return null;
+
+  return {
+    kind,
+    bot,
+    name: String(bot.name || kind).slice(0, 24),
+    thinkMs: clampThinkMs(thinkMs != null ? thinkMs : bot.thinkMs),
+    timer: null,
+    busy: false,
+    reaction: null, // { target, action } for the current missed UNO call
+    reactTimer: null,
+  };
+}
+
+function seatBot(room, seatIndex, seat) {
+  const id = room.isCpuGame ? CPU_ID : `bot:P${seatIndex + 1}`;
+  room.players[seatIndex] = id;
+  room.bots[id] = seat;
+  return id;
+}
 
-    return s + Math.random() * 0.5;
+function botKinds() {
+  return {
+    builtin: BUILTIN_LEVELS,
+    local: Object.keys(localBots).map((name) => `local:${name}`),
+    remote: Object.keys(remoteBots).map((name) => `remote:${name}`),
   };
+}
 
-  playable.sort((a, b) => score(b) - score(a));
-  return playable[0];
+// Asks a bot something, never taking longer than BOT_TIMEOUT_MS; null when it
+// has no answer, throws or runs out of time
+function askBot(bot, method, view) {
+  if (typeof bot[method] !== "function") return Promise.resolve(null);
+
+  let timer = null;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), BOT_TIMEOUT_MS);
+  });
+  const answer = new Promise((resolve) => resolve(bot[method](view))).catch((err) => {
+    console.warn(`Bot ${bot.name} failed in ${method}:`, err.message);
+    return null;
+  });
+  return Promise.race([answer, timeout]).finally(() => clearTimeout(timer));
 }
 
-function cpuTakeTurn(roomCode) {
-  const room = rooms[roomCode];
-  if (!room || room.isGameOver) return;
-  if (room.phase !== "playing") return;
-  if (room.currentTurn !== CPU_ID) return;
+// Notifications (newGame, observe) don't wait for an answer
+function tellBot(bot, method, payload) {
+  if (typeof bot[method] !== "function") return;
+  try {
+    const res = bot[method](payload);
+    if (res && typeof res.catch === "function") res.catch(() => {});
+  } catch (err) {
+    console.warn(`Bot ${bot.name} failed in ${method}:`, err.message);
+  }
+}
 
-  // No human timer during CPU turn
-  clearTurnTimer(room);
+function notifyBots(room, before, events) {
+  Object.keys(room.bots).forEach((id) => {
+    const { bot } = room.bots[id];
+    if (typeof bot.observe !== "function") return;
+    tellBot(bot, "observe", {
+      before: viewFor(before, id),
+      events: eventsFor(before, events),
+      view: viewFor(room.game, id),
+    });
+  });
+}
 
-  if (cpuShouldCallUno(room)) {
-    room.unoStatus[CPU_ID] = true;
-    room.message = "UNO! CPU yelled UNO!";
-    room.lastMoveAt = Date.now();
-    sendGameState(roomCode);
+function clearBotReaction(seat) {
+  if (seat.reactTimer) {
+    clearTimeout(seat.reactTimer);
+    seat.reactTimer = null;
   }
+  seat.reaction = null;
+}
 
-  const top = room.discardPile[room.discardPile.length - 1];
-  const hand = room.hands[CPU_ID] || [];
+function clearBotTimers(room) {
+  Object.values(room.bots).forEach((seat) => {
+    if (seat.timer) {
+      clearTimeout(seat.timer);
+      seat.timer = null;
+    }
+    clearBotReaction(seat);
+  });
+}
 
-  const chosen = cpuChooseCard(room);
+// What a bot may react to off its turn: a missed UNO call to catch and, under
+// jump-in, an exact copy of the top card. Null when there is nothing.
+function reactionKey(game, playerId) {
+  const moves = legalMoves(game, playerId);
+  const target = moves.some((m) => m.type === "catchUno") ? game.unoExposed : "";
+  const jump = moves.some((m) => m.type === "jumpIn") ? topCard(game).id : "";
+  return target || jump !== "" ? `${target}|${jump}` : null;
+}
 
-  if (chosen) {
-    const chosenColor =
-      (chosen.type === "wild" || chosen.type === "wild4") ? cpuPickColor(room) : null;
+// Each bot seat decides once per chance (a missed UNO call, a card to jump in
+// on) whether and when to take it
+function scheduleBotReactions(roomCode) {
+  const room = rooms[roomCode];
+  if (!room || !room.game) return;
+
+  Object.keys(room.bots).forEach((id) => {
+    const seat = room.bots[id];
+    const key = reactionKey(room.game, id);
+    if (!key) return clearBotReaction(seat);
+    if (seat.reaction && seat.reaction.key === key) return;
+
+    clearBotReaction(seat);
+    const reaction = { key, action: null };
+    seat.reaction = reaction;
+
+    askBot(seat.bot, "react", viewFor(room.game, id)).then((move) => {
+      const r = rooms[roomCode];
+      if (!r || r.bots[id] !== seat || seat.reaction !== reaction) return;
+      if (reactionKey(r.game, id) !== reaction.key) return;
+
+      reaction.action = moveFromBot(r.game, id, move);
+      if (!reaction.action) return;
+      const delay = move.afterMs != null ? clampThinkMs(move.afterMs) : seat.thinkMs;
+      seat.reactTimer = setTimeout(() => {
+        seat.reactTimer = null;
+        botReact(roomCode, id);
+      }, delay);
+    });
+  });
+}
 
-    applyPlay(room, roomCode, CPU_ID, chosen.id, chosenColor);
-    return;
-  }
+function botReact(roomCode, playerId) {
+  const room = rooms[roomCode];
+  const seat = room && room.bots[playerId];
+  if (!seat || !seat.reaction || !seat.reaction.action) return;
+  if (room.phase !== "playing" || room.isGameOver) return;
+  if (reactionKey(room.game, playerId) !== seat.reaction.key) return;
 
-  // Draw 1
-  const drawn = drawOne(room);
-  if (!drawn) {
-    room.message = "CPU tried to draw, but no cards left.";
-    room.lastMoveAt = Date.now();
-    room.currentTurn = room.players.find((id) => id && id !== CPU_ID) || CPU_ID;
-    sendGameState(roomCode);
-    if (room.currentTurn !== CPU_ID) setTurnTimer(roomCode);
-    return;
-  }
+  const { action } = seat.reaction;
+  seat.reaction.action = null;
+  dispatch(roomCode, action, { cpu: true });
+}
 
-  hand.push(drawn);
+function botCanMove(room, playerId) {
+  return !!(room && room.phase === "playing" && !room.isGameOver && room.game.currentTurn === playerId);
+}
 
-  const canAuto =
-    drawn.type !== "wild" && drawn.type !== "wild4" && canPlay(drawn, top);
+async function botTakeTurn(roomCode, playerId) {
+  const room = rooms[roomCode];
+  const seat = room && room.bots[playerId];
+  if (!seat || seat.busy || !botCanMove(room, playerId)) return;
 
-  if (canAuto) {
-    // Put it back “as playable” and play it using applyPlay
-    const idx = hand.findIndex((c) => c.id === drawn.id);
-    if (idx !== -1) hand.splice(idx, 1);
-    hand.push(drawn);
-    applyPlay(room, roomCode, CPU_ID, drawn.id, null);
-    return;
-  }
+  // No human timer during a bot's turn
+  clearTurnTimer(room);
 
-  room.message = "CPU drew a card.";
-  room.lastMoveAt = Date.now();
-  room.currentTurn = room.players.find((id) => id && id !== CPU_ID) || CPU_ID;
+  // Its own move would close the window, so a noticed missed UNO is called first
+  botReact(roomCode, playerId);
+
+  seat.busy = true;
+  try {
+    // An UNO call, deciding on a just-drawn card, or a table that changed while
+    // it was thinking all continue the same turn
+    for (let step = 0; step < 5; step++) {
+      if (!botCanMove(rooms[roomCode], playerId)) return;
+      const asked = rooms[roomCode].game;
+
+      const move = await askBot(seat.bot, "act", viewFor(asked, playerId));
+      const r = rooms[roomCode];
+      if (!botCanMove(r, playerId) || r.bots[playerId] !== seat) return;
+      if (r.game !== asked) continue;
+
+      let action = moveFromBot(r.game, playerId, move);
+      if (!action) {
+        if (move) console.warn(`Bot ${seat.name} made an illegal move:`, JSON.stringify(move));
+        action = fallbackMove(r.game, playerId);
+      }
 
-  sendGameState(roomCode);
+      const res = dispatch(roomCode, action, { cpu: true });
+      if (res.error) {
+        // Shouldn't happen, but never leave a bot stuck on its turn
+        dispatch(roomCode, fallbackMove(r.game, playerId), { cpu: true });
+        return;
+      }
 
-  if (room.currentTurn !== CPU_ID) setTurnTimer(roomCode);
+      const continues = action.type === "yellUno" || (action.type === "draw" && res.state.drawnCardId != null);
+      if (!continues) return;
+    }
+  } finally {
+    seat.busy = false;
+  }
 }
 
-function scheduleCpuTurn(roomCode) {
+function scheduleBotTurn(roomCode, since = Date.now()) {
   const room = rooms[roomCode];
   if (!room) return;
 
   // ✅ Always clear and reschedule
-  clearCpuTimer(room);
+  Object.values(room.bots).forEach((seat) => {
+    if (seat.timer) {
+      clearTimeout(seat.timer);
+      seat.timer = null;
+    }
+  });
 
-  if (!room.isCpuGame) return;
   if (room.phase !== "playing" || room.isGameOver) return;
-  if (room.currentTurn !== CPU_ID) return;
-
-  const diff = room.cpuDifficulty || "easy";
-  const delay =
-    diff === "hard" ? 650 :
-    diff === "medium" ? 850 :
-    1100;
+  const playerId = room.game.currentTurn;
+  if (!isBot(room, playerId)) return;
+
+  const seat = room.bots[playerId];
+  seat.timer = setTimeout(() => {
+    seat.timer = null;
+    botTakeTurn(roomCode, playerId);
+  }, Math.max(0, seat.thinkMs - (Date.now() - since)));
+}
 
-  room.cpuTimer = setTimeout(() => {
-    const r = rooms[roomCode];
-    if (!r) return;
-    r.cpuTimer = null;
-    cpuTakeTurn(roomCode);
-  }, delay);
+// A remote bot went away: its seats are kept, played by a medium CPU from now on
+function replaceRemoteBot(name) {
+  Object.keys(rooms).forEach((code) => {
+    const room = rooms[code];
+    let replaced = false;
+    Object.keys(room.bots).forEach((id) => {
+      const seat = room.bots[id];
+      if (seat.kind !== `remote:${name}`) return;
+      replaced = true;
+      seat.kind = "medium";
+      seat.bot = createBuiltinBot("medium");
+      if (room.game) tellBot(seat.bot, "newGame", viewFor(room.game, id));
+      if (!room.isGameOver) room.message = `${seat.name} disconnected. A CPU plays ${seatLabel(room, id)} now.`;
+    });
+    if (replaced) sendGameState(code);
+  });
 }
 
 // ------------------ GAME FLOW ------------------
@@ -317,55 +887,59 @@ function scheduleCpuTurn(roomCode) {
 function dealInitialCards(room, roomCode) {
   room.gameId = (room.gameId || 0) + 1;
 
+  clearRoundTimer(room);
+  releaseStandIns(room);
+  room.rematchVotes = {};
+  if (room.isMatch && (!room.match || room.match.winner)) {
+    room.match = createMatch(room.teams ? Object.keys(teamSeats(room)) : room.players, room.matchTarget);
+  }
+
   room.phase = "dealing";
   room.dealAcks = room.dealAcks || {};
   room.dealAcks[room.gameId] = {};
 
-  room.deck = createDeck();
-  shuffle(room.deck);
-  room.discardPile = [];
-
-  room.isGameOver = false;
-  room.winner = null;
-  room.unoStatus = room.unoStatus || {};
-  room.specialEffect = null;
-
-  room.hands = {};
-  room.players.forEach((pid) => {
-    if (pid) room.hands[pid] = [];
+  const labels = {};
+  activePlayers(room).forEach((id) => {
+    labels[id] = seatLabel(room, id);
   });
 
-  // 7 cards each
-  for (let i = 0; i < 7; i++) {
-    room.players.forEach((pid) => {
-      if (!pid) return;
-      const card = drawOne(room);
-      if (card) room.hands[pid].push(card);
-    });
-  }
-
-  // first discard card
-  let first = drawOne(room);
-  if (!first) first = { id: 9999, color: "red", value: 0, type: "number" };
-  if (first.type === "wild" || first.type === "wild4") {
-    first.color = ["red", "yellow", "green", "blue"][Math.floor(Math.random() * 4)];
-  }
-  room.discardPile.push(first);
+  const { state, events } = createGame({
+    players: room.players,
+    labels,
+    rules: room.rules,
+    seed: crypto.randomBytes(4).readUInt32LE(0),
+    teams: room.teams ? teamMap(room) : null,
+  });
+  room.game = state;
+  room.gameStartedAt = Date.now();
+  room.log = createGameLog({
+    roomCode,
+    gameId: room.gameId,
+    state,
+    events,
+    cpuDifficulty: room.cpuDifficulty,
+  });
 
-  // pick starter
-  const starterIndex = Math.random() < 0.5 ? 0 : 1;
-  room.currentTurn = room.players[starterIndex];
+  room.isGameOver = false;
+  room.winner = null;
 
-  room.message = "🃏 Dealing cards...";
+  room.message = room.match
+    ? `🃏 Dealing round ${room.match.rounds.length + 1}...`
+    : "🃏 Dealing cards...";
   room.lastMoveAt = Date.now();
 
   clearTurnTimer(room);
-  clearCpuTimer(room);
+  clearBotTimers(room);
 
-  // CPU acks instantly
-  if (room.isCpuGame) {
-    room.dealAcks[room.gameId][CPU_ID] = true;
-  }
+  // Bots ack instantly
+  Object.keys(room.bots).forEach((id) => {
+    room.dealAcks[room.gameId][id] = true;
+    tellBot(room.bots[id].bot, "newGame", viewFor(state, id));
+  });
+  // and nobody waits on a disconnected player (a rematch they didn't vote for)
+  humanPlayers(room).forEach((id) => {
+    if (isAway(room, id)) room.dealAcks[room.gameId][id] = true;
+  });
 
   sendGameState(roomCode);
 }
@@ -374,244 +948,1050 @@ function startPlayingIfReady(room, roomCode) {
   const gameId = room.gameId || 0;
   const ackMap = room.dealAcks?.[gameId] || {};
 
-  const p1 = room.players[0];
-  const p2 = room.players[1];
-
-  const ready = !!(ackMap[p1] && ackMap[p2]);
+  const ready = room.players.every((pid) => pid && ackMap[pid]);
   if (!ready) return;
 
   room.phase = "playing";
   room.message = "🟢 Game started!";
   room.lastMoveAt = Date.now();
+  room.turnStartedAt = room.lastMoveAt;
 
-  sendGameState(roomCode);
-
-  if (room.currentTurn === CPU_ID) scheduleCpuTurn(roomCode);
+  if (isBot(room, room.game.currentTurn)) scheduleBotTurn(roomCode);
   else setTurnTimer(roomCode);
+
+  sendGameState(roomCode);
 }
 
-function sendGameState(roomCode) {
+// Runs one engine action for the room, logs it, pushes the new state and
+// schedules whoever is up next (bot or turn timer). Returns the engine result.
+function dispatch(roomCode, action, { cpu: byCpu = false } = {}) {
   const room = rooms[roomCode];
-  if (!room) return;
-
-  const top = room.discardPile[room.discardPile.length - 1] || null;
+  if (!room || !room.game) return { error: "No game in progress." };
 
-  room.players.forEach((playerId, index) => {
-    if (!playerId) return;
-    if (playerId === CPU_ID) return;
+  const before = room.game;
+  const res = applyAction(before, action);
+  if (res.error) return res;
 
-    const sock = io.sockets.sockets.get(playerId);
-    if (!sock) return;
-
-    const opponentIndex = index === 0 ? 1 : 0;
-    const opponentId = room.players[opponentIndex];
+  room.game = res.state;
+  room.message = res.state.message;
+  notifyBots(room, before, res.events);
+  cpuEmotes(room, roomCode, res.events);
+  if (room.log) appendLogEntry(room.log, { action, events: res.events, state: res.state, cpu: byCpu });
 
-    const yourHand = room.hands[playerId] || [];
-    const opponentCount = opponentId ? (room.hands[opponentId] || []).length : 0;
+  // UNO calls and catches don't change whose turn it is or restart their clock
+  if (OFF_TURN_ACTIONS.includes(action.type)) {
+    sendGameState(roomCode);
+    scheduleBotReactions(roomCode);
+    return res;
+  }
 
-    sock.emit("gameState", {
-      roomCode,
-      youAre: index === 0 ? "P1" : "P2",
+  room.lastMoveAt = Date.now();
+  if (room.game.currentTurn !== before.currentTurn || room.game.isGameOver) countTurn(room);
 
-      gameId: room.gameId || 0,
-      phase: room.phase || "waiting",
-      lastMoveAt: room.lastMoveAt || null,
-      specialEffect: room.specialEffect || null,
+  if (room.game.isGameOver) {
+    finishRound(room, roomCode);
+    return res;
+  }
 
-      yourHand,
-      opponentCardCount: opponentCount,
-      discardTop: top,
-      deckCount: room.deck.length,
+  // ✅ Next step (bot or timer), before the state goes out with its deadline
+  if (isBot(room, room.game.currentTurn)) scheduleBotTurn(roomCode);
+  else setTurnTimer(roomCode);
 
-      currentTurn: room.currentTurn,
-      isGameOver: room.isGameOver,
-      winner: room.winner,
-      message: room.message,
+  sendGameState(roomCode);
+  scheduleBotReactions(roomCode);
 
-      opponentIsCpu: room.isCpuGame && opponentId === CPU_ID,
-      cpuDifficulty: room.cpuDifficulty || null,
-    });
-  });
+  return res;
 }
 
-// ------------------ PLAY ACTION (shared human/CPU) ------------------
-
-function applyPlay(room, roomCode, playerId, cardId, chosenColor) {
-  const hand = room.hands[playerId] || [];
-  const index = hand.findIndex((c) => c.id === cardId);
-  if (index === -1) return { ok: false, error: "Card not in hand." };
+// A game just ended. In match mode it is scored, and unless someone reached
+// the target score the next round is dealt after a short summary break.
+function finishRound(room, roomCode) {
+  clearTurnTimer(room);
+  clearBotTimers(room);
 
-  const card = hand[index];
-  const top = room.discardPile[room.discardPile.length - 1];
+  room.isGameOver = true;
+  room.winner = room.game.winner;
+  stats.gamesFinished++;
+  recordFinishedGame(room, roomCode);
 
-  if (card.type === "wild" || card.type === "wild4") {
-    const validColors = ["red", "yellow", "green", "blue"];
-    if (!chosenColor || !validColors.includes(chosenColor)) {
-      return { ok: false, error: "Must choose a color for wild." };
-    }
-    card.color = chosenColor;
-  } else {
-    if (!canPlay(card, top)) return { ok: false, error: "You can't play that card." };
+  if (!room.match) {
+    room.phase = "gameover";
+    sendGameState(roomCode);
+    return;
   }
 
-  // Remove and discard
-  hand.splice(index, 1);
-  room.discardPile.push(card);
-
-  // Special effect
-  room.specialEffect = null;
-  if (card.type === "wild4") room.specialEffect = "wild4";
+  room.match = recordRound(room.match, room.game, room.gameId);
+  const round = room.match.rounds[room.match.rounds.length - 1];
+  const label = room.teams ? teamLabel(round.winner) : seatLabel(room, round.winner);
 
-  // UNO penalty
-  maybeApplyUnoPenalty(room, playerId, hand, hand.length);
-
-  // Win
-  if (hand.length === 0) {
-    room.isGameOver = true;
-    room.winner = playerId;
+  if (room.match.winner) {
     room.phase = "gameover";
-    room.message = "🏁 Game over!";
-    room.lastMoveAt = Date.now();
-    clearTurnTimer(room);
-    clearCpuTimer(room);
+    room.message = `🏆 ${label} wins the match with ${room.match.scores[round.winner]} points!`;
     sendGameState(roomCode);
-    return { ok: true, gameOver: true, played: card };
+    return;
   }
 
-  const opponentId = room.players.find((id) => id && id !== playerId);
+  room.phase = "roundover";
+  room.message = `🏁 ${label} wins round ${room.match.rounds.length} (+${round.points} points).`;
+  room.nextRoundAt = Date.now() + ROUND_BREAK_MS;
+  scheduleNextRound(room, roomCode);
 
-  // Effects
-  if (card.type === "draw2" && opponentId) {
-    for (let i = 0; i < 2; i++) {
-      const drawn = drawOne(room);
-      if (drawn) room.hands[opponentId].push(drawn);
-    }
-  }
-  if (card.type === "wild4" && opponentId) {
-    for (let i = 0; i < 4; i++) {
-      const drawn = drawOne(room);
-      if (drawn) room.hands[opponentId].push(drawn);
+  sendGameState(roomCode);
+}
+
+function scheduleNextRound(room, roomCode) {
+  room.roundTimer = setTimeout(() => {
+    const r = rooms[roomCode];
+    if (!r || r.phase !== "roundover") return;
+    r.roundTimer = null;
+    dealInitialCards(r, roomCode);
+  }, Math.max(0, room.nextRoundAt - Date.now()));
+}
+
+// Hands can only be shown to spectators when every other seat is a CPU:
+// with another human at the table, the owner could watch from a second tab
+function canRevealHands(room) {
+  return room.players.every((id, seatIndex) => seatIndex === 0 || (isBot(room, id) && !isStandIn(room, id)));
+}
+
+// The table as one socket may see it. Spectators get every seat as an
+// "opponent" and no hand of their own; hands are only shown to them when the
+// room owner turned on revealHands (and canRevealHands).
+function buildGameState(room, roomCode, viewerId) {
+  const game = room.game;
+  const hands = game ? game.hands : {};
+  const index = room.players.indexOf(viewerId);
+  const spectator = index === -1;
+  const revealHands = room.revealHands && canRevealHands(room);
+
+  // Opponents in seat order, starting with the seat after yours
+  const seatCount = room.players.length;
+  const opponents = [];
+  for (let k = spectator ? 0 : 1; k < seatCount; k++) {
+    const seatIndex = (Math.max(index, 0) + k) % seatCount;
+    const id = room.players[seatIndex];
+    const opponent = {
+      id,
+      seat: `P${seatIndex + 1}`,
+      label: id ? seatLabel(room, id) : `P${seatIndex + 1}`,
+      cardCount: id ? (hands[id] || []).length : 0,
+      isCpu: isBot(room, id) && !isStandIn(room, id),
+      connected: id ? !isAway(room, id) : false,
+      afk: isAfk(room, seatIndex),
+      standIn: isStandIn(room, id),
+      out: !!game && !!id && isOut(game, id), // knocked out by the no mercy hand limit
+    };
+    if (room.teams) {
+      opponent.team = teamOfSeat(seatIndex);
+      opponent.partner = !spectator && opponent.team === teamOfSeat(index);
     }
+    if (opponent.isCpu) opponent.botName = room.bots[id].name;
+    const profile = id && profileOfSeat(room, seatIndex);
+    if (profile) opponent.nickname = profile.nickname;
+    if (spectator && revealHands && id) opponent.hand = (hands[id] || []).map(cardFace);
+    opponents.push(opponent);
   }
 
-  // Turn rule (your house rule: action cards grant another turn)
-  const turnAgain =
-    card.type === "skip" ||
-    card.type === "reverse" ||
-    card.type === "draw2" ||
-    card.type === "wild4";
+  const yourHand = spectator ? [] : (hands[viewerId] || []).map(cardFace);
+  const currentTurn = game ? game.currentTurn : null;
+
+  return {
+    roomCode,
+    youAre: spectator ? null : `P${index + 1}`,
+    spectator,
+    afk: !spectator && isAfk(room, index), // "I'm back" gets a CPU stand-in off your seat
+    isOwner: room.players[0] === viewerId,
+    spectatorCount: Object.keys(room.spectators).length,
+    revealHands,
+    seatCount,
+    direction: game ? game.direction : 1,
+    side: game ? game.side || "light" : "light",
+    rules: room.rules,
+    teams: room.teams ? teamSeats(room) : null, // team id -> seats
+    yourTeam: room.teams && !spectator ? teamOfSeat(index) : null,
+    pendingDraw: game ? game.pendingDraw : 0,
+    drawnCardId: game && currentTurn === viewerId ? game.drawnCardId : null,
+
+    gameId: room.gameId || 0,
+    phase: room.phase || "waiting",
+    lastMoveAt: room.lastMoveAt || null,
+    turnMs: room.turnMs,
+    turnClock: room.turnClock, // { since, deadline } in server time, null when no clock runs
+    serverNow: Date.now(),
+    specialEffect: game ? game.specialEffect : null,
+    unoExposed: game ? game.unoExposed : null,
+    // Whether the Wild +4 was legal stays hidden until someone challenges it
+    challenge: game && game.challenge
+      ? { by: game.challenge.playerId, victim: game.challenge.victimId }
+      : null,
+
+    yourHand,
+    opponents,
+    discardTop: game ? cardFace(topCard(game)) : null,
+    deckCount: game ? game.deck.length : 0,
+
+    currentTurn,
+    isGameOver: room.isGameOver,
+    // In team play the winner is the team; wentOut is the partner who emptied their hand
+    winner: room.teams && room.winner ? teamOfSeat(room.players.indexOf(room.winner)) : room.winner,
+    wentOut: room.winner,
+    message: room.message,
+
+    cpuDifficulty: room.cpuDifficulty || null,
+    chat: {
+      enabled: room.chat.enabled,
+      muted: Object.keys(room.chat.muted).map((seatIndex) => `P${Number(seatIndex) + 1}`),
+    },
+    match: room.match ? { ...room.match, nextRoundAt: room.nextRoundAt } : null,
+    rematch: {
+      votes: Object.keys(room.rematchVotes),
+      needed: rematchVoters(room),
+    },
+  };
+}
 
-  room.currentTurn = turnAgain ? playerId : (opponentId || playerId);
+function sendGameState(roomCode) {
+  const room = rooms[roomCode];
+  if (!room) return;
 
-  room.message = `Player played ${describeCard(card)}`;
-  room.lastMoveAt = Date.now();
+  const viewers = humanPlayers(room).concat(Object.keys(room.spectators));
+  viewers.forEach((viewerId) => {
+    const sock = io.sockets.sockets.get(viewerId);
+    if (!sock) return;
+    sock.emit("gameState", buildGameState(room, roomCode, viewerId));
+  });
+  broadcastLobby();
+  saveRoomSoon(roomCode);
+}
 
-  sendGameState(roomCode);
+// ------------------ ROOM CREATION ------------------
 
-  // ✅ Next step (CPU or timer)
-  if (room.currentTurn === CPU_ID) scheduleCpuTurn(roomCode);
-  else setTurnTimer(roomCode);
+function newRoomCode() {
+  let code;
+  do {
+    code = Math.floor(1000 + Math.random() * 9000).toString();
+  } while (rooms[code]);
+  return code;
+}
 
-  return { ok: true, gameOver: false, played: card };
+// Joins a socket that already holds seat `seatIndex` to the room and hands out its session
+function welcomeToSeat(socket, roomCode, seatIndex) {
+  socket.join(roomCode);
+  rooms[roomCode].seatProfiles[seatIndex] = socket.data.profileId || null;
+  const sessionToken = issueSessionToken(rooms[roomCode], seatIndex);
+  socket.emit("roomCreated", { roomCode, youAre: `P${seatIndex + 1}`, sessionToken });
 }
 
-// ------------------ SOCKETS ------------------
+function startCpuRoom(socket, { difficulty, rules, match, isPrivate, passcode, turnMs } = {}) {
+  const cpuDifficulty = CPU_DIFFICULTIES.includes(difficulty) ? difficulty : "easy";
+  const code = newRoomCode();
+
+  rooms[code] = newRoom({
+    code,
+    players: [socket.id, null],
+    rules,
+    match,
+    isCpuGame: true,
+    cpuDifficulty,
+    isPrivate,
+    passcode,
+    turnMs,
+    createdBy: socket.id,
+    message: "Starting CPU game...",
+  });
+  seatBot(rooms[code], 1, createBotSeat(cpuDifficulty));
 
-io.on("connection", (socket) => {
-  console.log("User connected:", socket.id);
+  welcomeToSeat(socket, code, 0);
+  dealInitialCards(rooms[code], code);
+  return code;
+}
 
-  socket.on("createRoom", () => {
-    let code;
-    do {
-      code = Math.floor(1000 + Math.random() * 9000).toString();
-    } while (rooms[code]);
+// ------------------ QUICK MATCH ------------------
 
-    rooms[code] = {
-      code,
-      players: [socket.id, null],
-      hands: {},
-      deck: [],
-      discardPile: [],
-      currentTurn: null,
-      isGameOver: false,
-      winner: null,
-      message: "Waiting for another player to join...",
-      unoStatus: {},
-      specialEffect: null,
-      turnTimeout: null,
-      cpuTimer: null,
-
-      gameId: 0,
-      phase: "waiting",
-      lastMoveAt: Date.now(),
-      dealAcks: {},
-
-      isCpuGame: false,
-      cpuDifficulty: null,
-    };
+// Players waiting for a quick match. `seats` and `preset` are null when any will do;
+// `cpuDifficulty` set means "give me a CPU if nobody turns up in time".
+const matchQueue = []; // { socketId, seats, preset, cpuDifficulty, joinedAt, timer }
+
+function leaveQueue(socketId) {
+  const index = matchQueue.findIndex((e) => e.socketId === socketId);
+  if (index === -1) return null;
+  const [entry] = matchQueue.splice(index, 1);
+  if (entry.timer) clearTimeout(entry.timer);
+  return entry;
+}
+
+function accepts(entry, seats, preset) {
+  return (entry.seats == null || entry.seats === seats) && (entry.preset == null || entry.preset === preset);
+}
+
+// The first (smallest) table that enough compatible players are waiting for,
+// longest-waiting players first
+function findQueueGroup() {
+  const presets = Object.keys(RULE_PRESETS);
+  for (let seats = MIN_SEATS; seats <= MAX_SEATS; seats++) {
+    for (const preset of presets) {
+      const group = matchQueue.filter((e) => accepts(e, seats, preset));
+      if (group.length >= seats) return { seats, preset, entries: group.slice(0, seats) };
+    }
+  }
+  return null;
+}
+
+function startQueuedMatch({ seats, preset, entries }) {
+  entries.forEach((e) => leaveQueue(e.socketId));
+
+  const code = newRoomCode();
+  rooms[code] = newRoom({
+    code,
+    players: entries.map((e) => e.socketId),
+    rules: { preset },
+    message: "Match found! Dealing cards...",
+  });
+
+  entries.forEach((e, seatIndex) => {
+    const sock = io.sockets.sockets.get(e.socketId);
+    if (!sock) return;
+    sock.emit("matchSearch", { searching: false });
+    welcomeToSeat(sock, code, seatIndex);
+  });
+  dealInitialCards(rooms[code], code);
+  console.log(`Quick match ${code}: ${seats} players, ${preset} rules`);
+}
+
+function cpuFallback(socketId) {
+  const entry = leaveQueue(socketId);
+  const sock = io.sockets.sockets.get(socketId);
+  if (!entry || !sock) return;
+
+  sock.emit("matchSearch", { searching: false });
+  startCpuRoom(sock, { difficulty: entry.cpuDifficulty, rules: { preset: entry.preset || "house" } });
+}
+
+// Tells everyone still searching how many compatible players are waiting with them
+function sendQueueStatus() {
+  matchQueue.forEach((entry) => {
+    const sock = io.sockets.sockets.get(entry.socketId);
+    if (!sock) return;
+    const waiting = matchQueue.filter(
+      (e) => e.seats == null || entry.seats == null || e.seats === entry.seats
+    ).length;
+    sock.emit("matchSearch", {
+      searching: true,
+      waiting,
+      since: entry.joinedAt,
+      cpuAt: entry.cpuDifficulty ? entry.joinedAt + QUEUE_CPU_FALLBACK_MS : null,
+    });
+  });
+}
+
+// ------------------ PERSISTENCE ------------------
+
+// Each room is written to its own file shortly after it changes and loaded
+// back at startup, so a restart doesn't end the games in progress. Timers,
+// sockets and bot objects are rebuilt; players come back with their session token.
+// The game log goes to a file of its own, one JSON line per entry, and only
+// new entries are appended. Writes are async and one save runs at a time.
+const ROOM_DIR = process.env.ROOM_DIR || path.join(__dirname, "data", "rooms");
+const ROOM_SAVE_MS = 200;
+const ROOM_IDLE_MS = Number(process.env.ROOM_IDLE_MS) || 60 * 60 * 1000; // rooms untouched this long are closed
+const ROOM_SWEEP_MS = 60000;
+
+const dirtyRooms = new Set();
+let roomSaveTimer = null;
+let roomWrites = Promise.resolve();
+
+// roomCode -> { entries, count }: the log entries array on disk and how many of
+// them the file holds. A new game or a renamed player means a new array.
+const savedLogs = {};
+
+function roomFile(roomCode) {
+  return path.join(ROOM_DIR, `${roomCode}.json`);
+}
 
-    socket.join(code);
-    socket.emit("roomCreated", { roomCode: code, youAre: "P1" });
-    sendGameState(code);
+function logFile(roomCode) {
+  return path.join(ROOM_DIR, `${roomCode}.log`);
+}
+
+// Everything but live handles and the log. Bots are kept as what to seat again.
+function serializeRoom(room) {
+  const { turnTimeout, roundTimer, spectators, away, awayTimers, bots, log, ...rest } = room;
+  const botSeats = {};
+  Object.keys(bots).forEach((id) => {
+    const { kind, name, thinkMs, standIn } = bots[id];
+    botSeats[id] = { kind, name, thinkMs, standIn };
+  });
+  return { ...rest, bots: botSeats };
+}
+
+function restoreRoom(saved) {
+  const { bots = {}, ...fields } = saved;
+  const room = { ...newRoom({ code: saved.code, players: saved.players }), ...fields, bots: {} };
+
+  // A remote bot isn't connected yet, so its seat goes to a CPU like after a disconnect
+  Object.keys(bots).forEach((id) => {
+    const options = { roomCode: room.code, seatIndex: room.players.indexOf(id), thinkMs: bots[id].thinkMs };
+    const seat = createBotSeat(bots[id].kind, options) || createBotSeat("medium", options);
+    seat.name = bots[id].name;
+    seat.standIn = !!bots[id].standIn;
+    room.bots[id] = seat;
   });
+  return room;
+}
+
+// The header line (the log without its entries), then one line per entry. A
+// line cut short by a crash ends the log; the next save writes it out again.
+function readLog(roomCode) {
+  let lines;
+  try {
+    lines = fs.readFileSync(logFile(roomCode), "utf8").split("\n").filter(Boolean);
+  } catch {
+    return null;
+  }
+
+  const entries = [];
+  let intact = true;
+  for (const line of lines.slice(1)) {
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      intact = false;
+      break;
+    }
+  }
+
+  let log;
+  try {
+    log = { ...JSON.parse(lines[0]), entries };
+  } catch {
+    return null;
+  }
+  if (!isGameLog(log)) return null;
+  if (intact) savedLogs[roomCode] = { entries, count: entries.length };
+  return log;
+}
+
+const logLines = (entries) => entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+
+async function saveLog(roomCode, log) {
+  const file = logFile(roomCode);
+  if (!log) {
+    delete savedLogs[roomCode];
+    return fs.promises.rm(file, { force: true });
+  }
+
+  const { entries, ...header } = log;
+  const count = entries.length;
+  const saved = savedLogs[roomCode];
+  delete savedLogs[roomCode]; // until this write is through
+
+  if (saved && saved.entries === entries) {
+    if (count > saved.count) await fs.promises.appendFile(file, logLines(entries.slice(saved.count, count)));
+  } else {
+    await fs.promises.writeFile(`${file}.tmp`, `${JSON.stringify(header)}\n${logLines(entries.slice(0, count))}`);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+  savedLogs[roomCode] = { entries, count };
+}
+
+async function saveRoom(roomCode) {
+  const room = rooms[roomCode];
+  const file = roomFile(roomCode);
+  if (!room) {
+    await saveLog(roomCode, null);
+    return fs.promises.rm(file, { force: true });
+  }
+
+  const data = JSON.stringify(serializeRoom(room));
+  await saveLog(roomCode, room.log);
+  await fs.promises.writeFile(`${file}.tmp`, data);
+  await fs.promises.rename(`${file}.tmp`, file);
+}
+
+async function saveDirtyRooms() {
+  const codes = [...dirtyRooms];
+  dirtyRooms.clear();
+  if (codes.length === 0) return;
+
+  try {
+    await fs.promises.mkdir(ROOM_DIR, { recursive: true });
+  } catch (err) {
+    console.warn(`Could not create ${ROOM_DIR}:`, err.message);
+  }
+  for (const roomCode of codes) {
+    try {
+      await saveRoom(roomCode);
+    } catch (err) {
+      console.warn(`Could not save room ${roomCode}:`, err.message);
+    }
+  }
+}
+
+// Resolves once every room changed so far is on disk
+function writeRooms() {
+  if (roomSaveTimer) {
+    clearTimeout(roomSaveTimer);
+    roomSaveTimer = null;
+  }
+  roomWrites = roomWrites.then(saveDirtyRooms);
+  return roomWrites;
+}
+
+function saveRoomSoon(roomCode) {
+  dirtyRooms.add(roomCode);
+  if (!roomSaveTimer) roomSaveTimer = setTimeout(writeRooms, ROOM_SAVE_MS);
+}
+
+function deleteRoom(roomCode) {
+  const room = rooms[roomCode];
+  if (!room) return;
+  clearTurnTimer(room);
+  clearBotTimers(room);
+  clearRoundTimer(room);
+  clearAllAwayTimers(room);
+  delete rooms[roomCode];
+  broadcastLobby();
+  saveRoomSoon(roomCode);
+}
+
+// Picks a restored room up where it was. Every human left with the old
+// process, so their seats are held as if they had just disconnected.
+function resumeRoom(room, roomCode) {
+  humanPlayers(room).forEach((id) => markAway(room, roomCode, id));
+  if (room.game) {
+    Object.keys(room.bots).forEach((id) => tellBot(room.bots[id].bot, "newGame", viewFor(room.game, id)));
+  }
 
-  socket.on("createRoomCpu", ({ difficulty }) => {
-    const valid = ["easy", "medium", "hard"];
-    const cpuDifficulty = valid.includes(difficulty) ? difficulty : "easy";
+  if (room.phase === "roundover" && room.nextRoundAt) scheduleNextRound(room, roomCode);
+  if (room.phase === "playing" && !room.isGameOver) {
+    if (isBot(room, room.game.currentTurn)) scheduleBotTurn(roomCode, room.lastMoveAt);
+    else setTurnTimer(roomCode, room.lastMoveAt);
+  }
+}
 
-    let code;
-    do {
-      code = Math.floor(1000 + Math.random() * 9000).toString();
-    } while (rooms[code]);
+function loadRooms() {
+  let files = [];
+  try {
+    files = fs.readdirSync(ROOM_DIR).filter((file) => file.endsWith(".json"));
+  } catch {
+    return; // nothing saved yet
+  }
 
-    rooms[code] = {
+  files.forEach((file) => {
+    const roomCode = path.basename(file, ".json");
+    try {
+      const saved = JSON.parse(fs.readFileSync(path.join(ROOM_DIR, file), "utf8"));
+      if (Date.now() - saved.lastMoveAt > ROOM_IDLE_MS) {
+        fs.rmSync(path.join(ROOM_DIR, file), { force: true });
+        fs.rmSync(logFile(roomCode), { force: true });
+        return;
+      }
+      rooms[roomCode] = restoreRoom({ ...saved, log: readLog(roomCode) });
+      resumeRoom(rooms[roomCode], roomCode);
+    } catch (err) {
+      console.warn(`Could not restore room ${roomCode}:`, err.message);
+    }
+  });
+
+  const count = Object.keys(rooms).length;
+  if (count) console.log(`Restored ${count} room${count === 1 ? "" : "s"}`);
+}
+
+// Sends everyone in the room back to the lobby and forgets it
+function closeRoom(roomCode, message) {
+  io.to(roomCode).emit("roomClosed", message);
+  io.in(roomCode).socketsLeave(roomCode);
+  deleteRoom(roomCode);
+}
+
+function closeIdleRooms() {
+  Object.keys(rooms).forEach((roomCode) => {
+    if (Date.now() - rooms[roomCode].lastMoveAt <= ROOM_IDLE_MS) return;
+    closeRoom(roomCode, "This room was closed after being idle.");
+  });
+}
+
+// ------------------ VALIDATION / RATE LIMITS ------------------
+
+// Every client event has a payload schema (see game/validate.js) and a rate
+// limit bucket. Errors go out as { code, message } so clients can tell them apart:
+//   INVALID_PAYLOAD, RATE_LIMITED, ROOM_LIMIT, SERVER_FULL, ROOM_NOT_FOUND,
+//   WRONG_PASSCODE, ROOM_FULL, CPU_ROOM, ALREADY_SEATED, NOT_OWNER, WRONG_PHASE,
+//   NOT_IN_ROOM, UNKNOWN_BOT, NO_BOT, NO_PLAYER, ILLEGAL_ACTION, LOG_UNAVAILABLE,
+//   CHAT_DISABLED, CHAT_MUTED, JUMP_IN_LATE, REVEAL_NOT_ALLOWED, SESSION_INVALID (rejoinFailed),
+//   PROFILE_ERROR (profileError)
+
+const AUDIT_FILE = process.env.AUDIT_FILE || path.join(__dirname, "data", "audit.log");
+const audit = createAuditLog(AUDIT_FILE);
+
+// Fixed windows per socket: at most `limit` events of a bucket per `windowMs`
+const RATE_LIMITS = {
+  default: { limit: 20, windowMs: 1000 },
+  uno: { limit: 5, windowMs: 1000 },
+  rooms: { limit: 10, windowMs: 60000 },
+  identify: { limit: 10, windowMs: 60000 },
+  gameLog: { limit: 3, windowMs: 10000 },
+  chat: { limit: 5, windowMs: 10000 },
+};
+
+const ROOM_CODE = { type: "string", pattern: /^\d{4}$/ };
+const PASSCODE = { type: "string", maxLength: 32, optional: true };
+const SEAT = { type: "string", pattern: /^P\d{1,2}$/ };
+const BOT_KIND = { type: "string", maxLength: 40 };
+const THINK_MS = { type: "integer", min: 0, max: MAX_THINK_MS, optional: true };
+const BOOLEAN = { type: "boolean", optional: true };
+const TURN_LENGTH = { type: "integer", min: 0, max: MAX_TURN_MS, optional: true }; // 0: no clock
+const RULES = {
+  type: "object",
+  optional: true,
+  fields: {
+    preset: { enum: Object.keys(RULE_PRESETS), optional: true },
+    actionsKeepTurn: BOOLEAN,
+    stacking: BOOLEAN,
+    sevenZero: BOOLEAN,
+    jumpIn: BOOLEAN,
+    wild4Challenge: BOOLEAN,
+    drawMode: { enum: ["one", "untilPlayable"], optional: true },
+    afterDraw: { enum: ["autoPlay", "choose"], optional: true },
+    deck: { enum: DECKS, optional: true },
+  },
+};
+const MATCH = { type: "object", optional: true, fields: { targetScore: { type: "integer", min: 1, max: 5000, optional: true } } };
+const IN_ROOM = { roomCode: ROOM_CODE };
+
+const EVENTS = {
+  identify: {
+    bucket: "identify",
+    schema: { nickname: { type: "string", maxLength: 40, optional: true }, token: { type: "string", pattern: /^[0-9a-f]{32}$/, optional: true } },
+  },
+  enterLobby: { schema: {} },
+  leaveLobby: { schema: {} },
+  createRoom: {
+    bucket: "rooms",
+    schema: {
+      seats: { type: "integer", min: MIN_SEATS, max: MAX_SEATS, optional: true },
+      rules: RULES,
+      match: MATCH,
+      isPrivate: BOOLEAN,
+      passcode: PASSCODE,
+      turnMs: TURN_LENGTH,
+      teams: BOOLEAN,
+      bots: {
+        type: "array",
+        optional: true,
+        maxItems: MAX_SEATS - 1,
+        items: { anyOf: [BOT_KIND, { type: "object", fields: { kind: BOT_KIND, thinkMs: THINK_MS } }] },
+      },
+    },
+  },
+  createRoomCpu: {
+    bucket: "rooms",
+    schema: {
+      difficulty: { enum: CPU_DIFFICULTIES, optional: true },
+      rules: RULES,
+      match: MATCH,
+      isPrivate: BOOLEAN,
+      passcode: PASSCODE,
+      turnMs: TURN_LENGTH,
+    },
+  },
+  joinRoom: { schema: { roomCode: ROOM_CODE, passcode: PASSCODE } },
+  listBots: { schema: {} },
+  addBot: { schema: { roomCode: ROOM_CODE, kind: BOT_KIND, thinkMs: THINK_MS } },
+  removeBot: { schema: { roomCode: ROOM_CODE, seat: SEAT } },
+  findMatch: {
+    bucket: "rooms",
+    schema: {
+      seats: { anyOf: [{ type: "integer", min: MIN_SEATS, max: MAX_SEATS }, { type: "string", pattern: /^(any|\d{1,2})$/ }], optional: true },
+      preset: { type: "string", maxLength: 20, optional: true }, // "any" or a preset
+      cpuDifficulty: { enum: CPU_DIFFICULTIES, optional: true },
+    },
+  },
+  cancelMatch: { schema: {} },
+  watchRoom: { schema: { roomCode: ROOM_CODE, passcode: PASSCODE } },
+  setRevealHands: { schema: { roomCode: ROOM_CODE, reveal: { type: "boolean" } } },
+  rejoinRoom: { schema: { roomCode: ROOM_CODE, sessionToken: { type: "string", pattern: /^[0-9a-f]{32}$/ } } },
+  dealDone: { schema: { roomCode: ROOM_CODE, gameId: { type: "integer", min: 0 } } },
+  playCard: {
+    schema: {
+      roomCode: ROOM_CODE,
+      cardId: { type: "integer", min: 0 },
+      chosenColor: { enum: COLORS, optional: true },
+      swapWith: { type: "string", maxLength: 64, optional: true },
+    },
+  },
+  jumpIn: {
+    schema: {
+      roomCode: ROOM_CODE,
+      cardId: { type: "integer", min: 0 },
+      onCardId: { type: "integer", min: 0 }, // the top card it copies
+      swapWith: { type: "string", maxLength: 64, optional: true },
+    },
+  },
+  drawCard: { schema: IN_ROOM },
+  passTurn: { schema: IN_ROOM },
+  acceptWild4: { schema: IN_ROOM },
+  imBack: { schema: IN_ROOM },
+  challengeWild4: { schema: IN_ROOM },
+  yellUno: { bucket: "uno", schema: IN_ROOM },
+  catchUno: { bucket: "uno", schema: { roomCode: ROOM_CODE, target: { type: "string", maxLength: 64 } } },
+  requestRematch: { schema: IN_ROOM },
+  chat: { bucket: "chat", schema: { roomCode: ROOM_CODE, text: { type: "string", maxLength: MAX_CHAT_LENGTH } } },
+  emote: { bucket: "chat", schema: { roomCode: ROOM_CODE, emote: { enum: Object.keys(EMOTES) } } },
+  setChatEnabled: { schema: { roomCode: ROOM_CODE, enabled: { type: "boolean" } } },
+  mutePlayer: { schema: { roomCode: ROOM_CODE, seat: SEAT, muted: { type: "boolean" } } },
+  requestGameLog: { bucket: "gameLog", schema: IN_ROOM },
+};
+
+function sendError(socket, code, message, event = "errorMessage") {
+  socket.emit(event, { code, message });
+}
+
+// Something a well-behaved client never sends
+function auditSocket(socket, event, reason, details = {}) {
+  audit.record({
+    socketId: socket.id,
+    profileId: socket.data.profileId || null,
+    ip: socket.handshake.address,
+    event,
+    reason,
+    ...details,
+  });
+}
+
+// Counts the event against its bucket; past the limit it is dropped. The
+// client is told (and the audit log gets a line) once per window.
+function rateLimited(socket, event) {
+  const bucket = EVENTS[event].bucket || "default";
+  const { limit, windowMs } = RATE_LIMITS[bucket];
+  const now = Date.now();
+  const windows = socket.data.rate || (socket.data.rate = {});
+  if (!windows[bucket] || now - windows[bucket].start >= windowMs) windows[bucket] = { start: now, count: 0 };
+
+  const window = windows[bucket];
+  window.count++;
+  if (window.count <= limit) return false;
+  if (window.count === limit + 1) {
+    auditSocket(socket, event, "rate limited", { bucket });
+    socket.emit("errorMessage", {
+      code: "RATE_LIMITED",
+      message: "Slow down a little.",
+      retryAfterMs: window.start + windowMs - now,
+    });
+  }
+  return true;
+}
+
+// Keeps one connection (or all of them) from using up the room codes
+function canCreateRoom(socket, event) {
+  if (Object.keys(rooms).length >= MAX_ROOMS) {
+    sendError(socket, "SERVER_FULL", "The server is full right now. Try again later.");
+    return false;
+  }
+  const open = Object.values(rooms).filter((r) => r.createdBy === socket.id && r.phase !== "gameover").length;
+  if (open >= MAX_ROOMS_PER_SOCKET) {
+    auditSocket(socket, event, "room limit", { open });
+    sendError(socket, "ROOM_LIMIT", `You can have at most ${MAX_ROOMS_PER_SOCKET} unfinished rooms.`);
+    return false;
+  }
+  return true;
+}
+
+// ------------------ SOCKETS ------------------
+
+// A seat was just taken: deal once the table is full
+function seatTaken(room, roomCode) {
+  const seated = activePlayers(room).length;
+  if (seated < room.players.length) {
+    room.message = `Waiting for players to join (${seated}/${room.players.length})...`;
+    sendGameState(roomCode);
+    return;
+  }
+
+  room.message = "All players connected. Dealing cards...";
+  dealInitialCards(room, roomCode);
+}
+
+// The room of an in-game action, if this socket has a seat there
+function playerRoom(socket, event, roomCode) {
+  const room = rooms[roomCode];
+  if (!room) {
+    sendError(socket, "ROOM_NOT_FOUND", "Room not found.");
+    return null;
+  }
+  if (!room.players.includes(socket.id)) {
+    auditSocket(socket, event, "not seated", { roomCode });
+    sendError(socket, "NOT_IN_ROOM", "You are not playing in this room.");
+    return null;
+  }
+  return room;
+}
+
+// Owner-only room settings
+function ownedRoom(socket, event, roomCode, message) {
+  const room = rooms[roomCode];
+  if (!room) {
+    sendError(socket, "ROOM_NOT_FOUND", "Room not found.");
+    return null;
+  }
+  if (room.players[0] !== socket.id) {
+    auditSocket(socket, event, "not owner", { roomCode });
+    sendError(socket, "NOT_OWNER", message);
+    return null;
+  }
+  return room;
+}
+
+// Forwards a turn action from a socket to the engine
+function handleTurnAction(socket, event, roomCode, action) {
+  const room = playerRoom(socket, event, roomCode);
+  if (!room || room.isGameOver) return;
+  if (room.phase !== "playing") return sendError(socket, "WRONG_PHASE", "Still dealing…");
+
+  // Only a move the engine takes starts the timeout count over
+  const seatIndex = room.players.indexOf(socket.id);
+  const timedOut = room.timeouts[seatIndex];
+  const back = releaseStandIn(room, roomCode, socket.id);
+  const res = dispatch(roomCode, { ...action, playerId: socket.id });
+  if (res.error) {
+    if (timedOut) room.timeouts[seatIndex] = timedOut;
+    sendError(socket, "ILLEGAL_ACTION", res.error);
+    if (back) sendGameState(roomCode);
+  }
+}
+
+io.on("connection", (socket) => {
+  console.log("User connected:", socket.id);
+
+  // Client events go through their rate limit and schema (EVENTS) first;
+  // handlers only ever see the validated fields
+  const on = (event, handler) => {
+    socket.on(event, (payload) => {
+      if (rateLimited(socket, event)) return;
+      const res = validate(EVENTS[event].schema, payload);
+      if (res.error) {
+        auditSocket(socket, event, "invalid payload", { error: res.error });
+        return sendError(socket, "INVALID_PAYLOAD", `Invalid ${event}: ${res.error}.`);
+      }
+      handler(res.value);
+    });
+  };
+
+  // Nickname sign-in: { token } from an earlier visit, { nickname } to claim one,
+  // or both to rename. Seats taken from now on count towards this profile.
+  on("identify", ({ nickname, token }) => {
+    const res = profiles.identify({ nickname, token });
+    if (res.error) return sendError(socket, "PROFILE_ERROR", res.error, "profileError");
+
+    socket.data.profileId = res.profile.id;
+    socket.emit("profile", { profile: publicProfile(res.profile), token: res.token });
+  });
+
+  on("enterLobby", () => {
+    socket.join(LOBBY);
+    socket.emit("lobbyRooms", lobbyRooms());
+  });
+
+  on("leaveLobby", () => {
+    socket.leave(LOBBY);
+  });
+
+  // `bots`: kinds (or { kind, thinkMs }) to seat right away, see addBot
+  // `teams`: 2v2 team play, which always has four seats
+  on("createRoom", ({ seats, rules, match, isPrivate, passcode, turnMs, teams, bots = [] }) => {
+    if (!canCreateRoom(socket, "createRoom")) return;
+
+    const seatCount = teams ? TEAM_SEATS : clampSeatCount(seats);
+    const code = newRoomCode();
+
+    const players = new Array(seatCount).fill(null);
+    players[0] = socket.id;
+
+    rooms[code] = newRoom({
       code,
-      players: [socket.id, CPU_ID],
-      hands: {},
-      deck: [],
-      discardPile: [],
-      currentTurn: null,
-      isGameOver: false,
-      winner: null,
-      message: "Starting CPU game...",
-      unoStatus: {},
-      specialEffect: null,
-      turnTimeout: null,
-      cpuTimer: null,
-
-      gameId: 0,
-      phase: "waiting",
-      lastMoveAt: Date.now(),
-      dealAcks: {},
-
-      isCpuGame: true,
-      cpuDifficulty,
-    };
+      players,
+      rules,
+      match,
+      isPrivate,
+      passcode,
+      turnMs,
+      teams,
+      createdBy: socket.id,
+      message: `Waiting for players to join (1/${seatCount})...`,
+    });
 
-    socket.join(code);
-    socket.emit("roomCreated", { roomCode: code, youAre: "P1" });
+    welcomeToSeat(socket, code, 0);
+
+    bots.slice(0, seatCount - 1).forEach((entry, i) => {
+      const { kind, thinkMs } = typeof entry === "object" ? entry : { kind: entry };
+      const seat = createBotSeat(kind, { roomCode: code, seatIndex: i + 1, thinkMs });
+      if (seat) seatBot(rooms[code], i + 1, seat);
+      else sendError(socket, "UNKNOWN_BOT", `Unknown bot "${kind}".`);
+    });
+    seatTaken(rooms[code], code);
+  });
 
-    dealInitialCards(rooms[code], code);
+  on("createRoomCpu", (options) => {
+    if (!canCreateRoom(socket, "createRoomCpu")) return;
+    startCpuRoom(socket, options);
   });
 
-  socket.on("joinRoom", ({ roomCode }) => {
+  on("joinRoom", ({ roomCode, passcode }) => {
     const room = rooms[roomCode];
-    if (!room) return socket.emit("errorMessage", "Room not found.");
-    if (room.isCpuGame) return socket.emit("errorMessage", "This room is vs CPU.");
-    if (room.players[1]) return socket.emit("errorMessage", "Room is full.");
+    if (!room) return sendError(socket, "ROOM_NOT_FOUND", "Room not found.");
+    if (!checkPasscode(room, passcode)) {
+      auditSocket(socket, "joinRoom", "wrong passcode", { roomCode });
+      return sendError(socket, "WRONG_PASSCODE", "Wrong passcode.");
+    }
+    if (room.isCpuGame) return sendError(socket, "CPU_ROOM", "This room is vs CPU. You can watch it instead.");
+    if (room.players.includes(socket.id)) return sendError(socket, "ALREADY_SEATED", "You are already in this room.");
+
+    const seatIndex = room.players.indexOf(null);
+    if (seatIndex === -1) return sendError(socket, "ROOM_FULL", "Room is full. You can watch it instead.");
+
+    delete room.spectators[socket.id];
+    room.players[seatIndex] = socket.id;
+    room.lastMoveAt = Date.now();
+    welcomeToSeat(socket, roomCode, seatIndex);
+    seatTaken(room, roomCode);
+  });
+
+  on("listBots", () => {
+    socket.emit("botKinds", botKinds());
+  });
+
+  // The room owner may fill open seats with bots until the deal
+  on("addBot", ({ roomCode, kind, thinkMs }) => {
+    const room = ownedRoom(socket, "addBot", roomCode, "Only the room owner can add bots.");
+    if (!room) return;
+    if (room.phase !== "waiting") return sendError(socket, "WRONG_PHASE", "Bots can only be added before the deal.");
+
+    const seatIndex = room.players.indexOf(null);
+    if (seatIndex === -1) return sendError(socket, "ROOM_FULL", "Room is full.");
+
+    const seat = createBotSeat(kind, { roomCode, seatIndex, thinkMs });
+    if (!seat) return sendError(socket, "UNKNOWN_BOT", `Unknown bot "${kind}".`);
+
+    seatBot(room, seatIndex, seat);
+    room.lastMoveAt = Date.now();
+    seatTaken(room, roomCode);
+  });
+
+  on("removeBot", ({ roomCode, seat }) => {
+    const room = ownedRoom(socket, "removeBot", roomCode, "Only the room owner can remove bots.");
+    if (!room) return;
+    if (room.phase !== "waiting") return sendError(socket, "WRONG_PHASE", "Bots can only be removed before the deal.");
 
-    room.players[1] = socket.id;
-    room.message = "Both players connected. Dealing cards...";
+    const seatIndex = Number(seat.slice(1)) - 1;
+    const id = room.players[seatIndex];
+    if (!isBot(room, id)) return sendError(socket, "NO_BOT", "There is no bot in that seat.");
+
+    room.players[seatIndex] = null;
+    delete room.bots[id];
     room.lastMoveAt = Date.now();
+    seatTaken(room, roomCode);
+  });
+
+  // Quick match: optional seat count, preset and CPU fallback difficulty
+  on("findMatch", ({ seats, preset, cpuDifficulty }) => {
+    if (!canCreateRoom(socket, "findMatch")) return;
+    leaveQueue(socket.id);
+
+    const entry = {
+      socketId: socket.id,
+      seats: seats == null || seats === "any" ? null : clampSeatCount(seats),
+      preset: RULE_PRESETS[preset] ? preset : null,
+      cpuDifficulty: cpuDifficulty || null,
+      joinedAt: Date.now(),
+      timer: null,
+    };
+    if (entry.cpuDifficulty) {
+      entry.timer = setTimeout(() => cpuFallback(socket.id), QUEUE_CPU_FALLBACK_MS);
+    }
+    matchQueue.push(entry);
+
+    const group = findQueueGroup();
+    if (group) startQueuedMatch(group);
+    sendQueueStatus();
+  });
+
+  on("cancelMatch", () => {
+    if (leaveQueue(socket.id)) socket.emit("matchSearch", { searching: false });
+    sendQueueStatus();
+  });
+
+  // Anyone with the code can watch, full or not
+  on("watchRoom", ({ roomCode, passcode }) => {
+    const room = rooms[roomCode];
+    if (!room) return sendError(socket, "ROOM_NOT_FOUND", "Room not found.");
+    if (!checkPasscode(room, passcode)) {
+      auditSocket(socket, "watchRoom", "wrong passcode", { roomCode });
+      return sendError(socket, "WRONG_PASSCODE", "Wrong passcode.");
+    }
+    if (room.players.includes(socket.id)) return sendError(socket, "ALREADY_SEATED", "You are playing in this room.");
+
+    room.spectators[socket.id] = Date.now();
+    socket.join(roomCode);
+    socket.emit("watching", { roomCode });
+    sendGameState(roomCode);
+  });
+
+  on("setRevealHands", ({ roomCode, reveal }) => {
+    const room = ownedRoom(socket, "setRevealHands", roomCode, "Only the room owner can change this.");
+    if (!room) return;
+    if (reveal && !canRevealHands(room)) {
+      return sendError(socket, "REVEAL_NOT_ALLOWED", "Hands can only be shown when everyone else at the table is a CPU.");
+    }
+
+    room.revealHands = reveal;
+    sendGameState(roomCode);
+  });
+
+  on("rejoinRoom", ({ roomCode, sessionToken }) => {
+    const room = rooms[roomCode];
+    const seatIndex = room ? room.sessions[sessionToken] : undefined;
+    if (seatIndex == null) {
+      if (room) auditSocket(socket, "rejoinRoom", "unknown session", { roomCode });
+      return sendError(socket, "SESSION_INVALID", "That game is no longer available.", "rejoinFailed");
+    }
+
+    const oldId = room.players[seatIndex];
+    if (!oldId) return sendError(socket, "SESSION_INVALID", "That seat is no longer yours.", "rejoinFailed");
+
+    // Coming back counts as being back at the keyboard
+    releaseStandIn(room, roomCode, oldId);
+
+    if (oldId !== socket.id) {
+      // The old socket may still be open (e.g. a second tab); it loses the seat
+      const oldSock = io.sockets.sockets.get(oldId);
+      if (oldSock) oldSock.leave(roomCode);
+      reassignPlayer(room, oldId, socket.id);
+    }
+
     socket.join(roomCode);
+    socket.emit("roomCreated", { roomCode, youAre: `P${seatIndex + 1}`, sessionToken });
+
+    if (!room.isGameOver) {
+      room.message = `${seatLabel(room, socket.id)} reconnected.`;
+      room.lastMoveAt = Date.now();
+    }
 
-    dealInitialCards(room, roomCode);
+    if (room.phase === "playing" && !room.isGameOver) {
+      if (isBot(room, room.game.currentTurn)) scheduleBotTurn(roomCode);
+      else setTurnTimer(roomCode);
+    }
+    sendGameState(roomCode);
   });
 
-  socket.on("dealDone", ({ roomCode, gameId }) => {
+  on("dealDone", ({ roomCode, gameId }) => {
     const room = rooms[roomCode];
     if (!room) return;
+    if (!room.players.includes(socket.id) || gameId > (room.gameId || 0)) {
+      // A spectator or stranger acking, or a deal that hasn't happened yet
+      auditSocket(socket, "dealDone", "bad deal ack", { roomCode, gameId });
+      return;
+    }
     if ((room.gameId || 0) !== gameId) return;
+    if (room.phase !== "dealing") return;
 
     room.dealAcks = room.dealAcks || {};
     room.dealAcks[gameId] = room.dealAcks[gameId] || {};
@@ -620,96 +2000,389 @@ io.on("connection", (socket) => {
     startPlayingIfReady(room, roomCode);
   });
 
-  socket.on("playCard", ({ roomCode, cardId, chosenColor }) => {
-    const room = rooms[roomCode];
-    if (!room || room.isGameOver) return;
-    if (room.phase !== "playing") return socket.emit("errorMessage", "Still dealing…");
-    if (socket.id !== room.currentTurn) return socket.emit("errorMessage", "Not your turn.");
+  on("playCard", ({ roomCode, cardId, chosenColor, swapWith }) => {
+    handleTurnAction(socket, "playCard", roomCode, { type: "play", cardId, chosenColor, swapWith });
+  });
 
-    const res = applyPlay(room, roomCode, socket.id, cardId, chosenColor);
-    if (!res.ok) socket.emit("errorMessage", res.error || "Invalid play.");
+  // Jump-ins race: the first claim to arrive covers the card, and every later
+  // claim on that card is turned down rather than landing on whatever is on top now
+  on("jumpIn", ({ roomCode, cardId, onCardId, swapWith }) => {
+    const room = playerRoom(socket, "jumpIn", roomCode);
+    if (!room || !room.game || room.isGameOver) return;
+    if (topCard(room.game).id !== onCardId) {
+      return sendError(socket, "JUMP_IN_LATE", "Too late — someone got there first.");
+    }
+    handleTurnAction(socket, "jumpIn", roomCode, { type: "jumpIn", cardId, swapWith });
   });
 
-  socket.on("drawCard", ({ roomCode }) => {
-    const room = rooms[roomCode];
-    if (!room || room.isGameOver) return;
-    if (room.phase !== "playing") return socket.emit("errorMessage", "Still dealing…");
-    if (socket.id !== room.currentTurn) return socket.emit("errorMessage", "Not your turn.");
+  on("drawCard", ({ roomCode }) => {
+    handleTurnAction(socket, "drawCard", roomCode, { type: "draw" });
+  });
 
-    room.unoStatus[socket.id] = false;
-    room.specialEffect = null;
+  on("passTurn", ({ roomCode }) => {
+    handleTurnAction(socket, "passTurn", roomCode, { type: "pass" });
+  });
 
-    const drawn = drawOne(room);
-    if (!drawn) {
-      room.message = "No cards left to draw.";
-      room.lastMoveAt = Date.now();
-      sendGameState(roomCode);
-      return;
-    }
+  on("acceptWild4", ({ roomCode }) => {
+    handleTurnAction(socket, "acceptWild4", roomCode, { type: "acceptWild4" });
+  });
 
-    room.hands[socket.id] = room.hands[socket.id] || [];
-    const hand = room.hands[socket.id];
-    hand.push(drawn);
+  on("challengeWild4", ({ roomCode }) => {
+    handleTurnAction(socket, "challengeWild4", roomCode, { type: "challengeWild4" });
+  });
 
-    const top = room.discardPile[room.discardPile.length - 1];
-    const canAuto = drawn.type !== "wild" && drawn.type !== "wild4" && canPlay(drawn, top);
+  // Back at the keyboard after being marked AFK
+  on("imBack", ({ roomCode }) => {
+    const room = playerRoom(socket, "imBack", roomCode);
+    if (!room) return;
 
-    if (canAuto) {
-      const idx = hand.findIndex((c) => c.id === drawn.id);
-      if (idx !== -1) hand.splice(idx, 1);
-      hand.push(drawn);
+    const wasAfk = isAfk(room, room.players.indexOf(socket.id));
+    if (releaseStandIn(room, roomCode, socket.id) || wasAfk) sendGameState(roomCode);
+  });
 
-      const res = applyPlay(room, roomCode, socket.id, drawn.id, null);
-      if (!res.ok) socket.emit("errorMessage", res.error || "Auto-play error.");
-      return;
-    }
+  // Repeated calls are refused by the engine, so they don't rebroadcast the state
+  on("yellUno", ({ roomCode }) => {
+    const room = playerRoom(socket, "yellUno", roomCode);
+    if (!room || !room.game || room.isGameOver) return;
 
-    room.message = "Player drew a card.";
-    room.lastMoveAt = Date.now();
-    room.currentTurn = room.players.find((id) => id && id !== socket.id) || socket.id;
+    const res = dispatch(roomCode, { type: "yellUno", playerId: socket.id });
+    if (res.error) sendError(socket, "ILLEGAL_ACTION", res.error);
+  });
 
-    sendGameState(roomCode);
+  // Any opponent may catch a player who went down to one card without calling UNO
+  on("catchUno", ({ roomCode, target }) => {
+    const room = playerRoom(socket, "catchUno", roomCode);
+    if (!room || !room.game || room.isGameOver) return;
+    if (room.phase !== "playing") return;
 
-    if (room.currentTurn === CPU_ID) scheduleCpuTurn(roomCode);
-    else setTurnTimer(roomCode);
+    const res = dispatch(roomCode, { type: "catchUno", playerId: socket.id, target });
+    if (res.error) sendError(socket, "ILLEGAL_ACTION", res.error);
   });
 
-  socket.on("yellUno", ({ roomCode }) => {
+  // Same room, seats and settings: deals again once every human seat has accepted
+  on("requestRematch", ({ roomCode }) => {
     const room = rooms[roomCode];
-    if (!room) return;
+    if (!room || !room.players.includes(socket.id)) return sendError(socket, "ROOM_NOT_FOUND", "Room not found.");
+    if (room.phase !== "gameover") return sendError(socket, "WRONG_PHASE", "A rematch can start once the game is over.");
 
-    const hand = room.hands[socket.id] || [];
-    if (hand.length > 2) return socket.emit("errorMessage", "You can only yell UNO with 2 or fewer cards.");
+    room.rematchVotes[socket.id] = true;
+    if (startRematchIfReady(room, roomCode)) return;
 
-    room.unoStatus[socket.id] = true;
-    room.message = "UNO! A player yelled UNO!";
+    const waitingFor = rematchVoters(room).filter((id) => !room.rematchVotes[id]);
+    room.message = `🔁 ${seatLabel(room, socket.id)} wants a rematch. Waiting for ${waitingFor
+      .map((id) => seatLabel(room, id))
+      .join(", ")}…`;
     room.lastMoveAt = Date.now();
     sendGameState(roomCode);
   });
 
+  on("chat", ({ roomCode, text }) => {
+    const room = playerRoom(socket, "chat", roomCode);
+    const seatIndex = room ? room.players.indexOf(socket.id) : -1;
+    if (!room || !checkChat(socket, room, seatIndex)) return;
+
+    const clean = cleanChatText(text);
+    if (!clean) return;
+    sendChat(room, roomCode, seatIndex, { text: clean });
+  });
+
+  on("emote", ({ roomCode, emote }) => {
+    const room = playerRoom(socket, "emote", roomCode);
+    const seatIndex = room ? room.players.indexOf(socket.id) : -1;
+    if (!room || !checkChat(socket, room, seatIndex)) return;
+
+    sendChat(room, roomCode, seatIndex, { emote });
+  });
+
+  on("setChatEnabled", ({ roomCode, enabled }) => {
+    const room = ownedRoom(socket, "setChatEnabled", roomCode, "Only the room owner can turn chat on or off.");
+    if (!room) return;
+
+    room.chat.enabled = enabled;
+    sendGameState(roomCode);
+  });
+
+  // Muting sticks to the seat (through reconnects) until whoever sits there leaves before the deal
+  on("mutePlayer", ({ roomCode, seat, muted }) => {
+    const room = ownedRoom(socket, "mutePlayer", roomCode, "Only the room owner can mute players.");
+    if (!room) return;
+
+    const seatIndex = Number(seat.slice(1)) - 1;
+    if (!room.players[seatIndex] || seatIndex === 0) return sendError(socket, "NO_PLAYER", "Nobody to mute in that seat.");
+
+    if (muted) room.chat.muted[seatIndex] = true;
+    else delete room.chat.muted[seatIndex];
+    sendGameState(roomCode);
+  });
+
+  // The full event log, once the game is over (for disputes and the replay viewer)
+  on("requestGameLog", ({ roomCode }) => {
+    const room = rooms[roomCode];
+    if (!room || !(room.players.includes(socket.id) || room.spectators[socket.id])) {
+      return sendError(socket, "ROOM_NOT_FOUND", "Room not found.");
+    }
+    if ((room.phase !== "gameover" && room.phase !== "roundover") || !room.log) {
+      return sendError(socket, "LOG_UNAVAILABLE", "The game log is available after the game ends.");
+    }
+
+    socket.emit("gameLog", room.log);
+  });
+
   socket.on("disconnect", () => {
     console.log("User disconnected:", socket.id);
 
+    if (leaveQueue(socket.id)) sendQueueStatus();
+
     Object.keys(rooms).forEach((code) => {
       const room = rooms[code];
       if (!room) return;
 
-      if (room.players.includes(socket.id)) {
-        room.message = "Opponent disconnected. Game over.";
-        room.isGameOver = true;
-        room.phase = "gameover";
-        room.lastMoveAt = Date.now();
+      if (room.spectators[socket.id]) {
+        delete room.spectators[socket.id];
+        sendGameState(code);
+        return;
+      }
 
-        clearTurnTimer(room);
-        clearCpuTimer(room);
+      if (!room.players.includes(socket.id)) return;
 
-        sendGameState(code);
-        delete rooms[code];
+      // Before the deal, just free the seat for someone else
+      if (room.phase === "waiting" && !room.isCpuGame) {
+        freeWaitingSeat(room, code, socket.id);
+        return;
+      }
+
+      markAway(room, code, socket.id);
+
+      // The rest of the table may have been waiting on them for a rematch
+      if (room.phase === "gameover" && startRematchIfReady(room, code)) return;
+
+      // or for them to finish watching the deal
+      if (room.phase === "dealing") {
+        room.dealAcks[room.gameId][socket.id] = true;
+        startPlayingIfReady(room, code);
       }
+
+      if (!room.isGameOver) {
+        room.message = `${seatLabel(room, socket.id)} disconnected — reconnecting…`;
+        room.lastMoveAt = Date.now();
+      }
+
+      if (room.phase === "playing" && room.game.currentTurn === socket.id) setTurnTimer(code);
+      sendGameState(code);
     });
   });
 });
 
+// ------------------ BOT NAMESPACE ------------------
+
+// Remote bots connect to "/bot" with auth { name, token, thinkMs } and can then
+// be seated as "remote:<name>". Protocol: docs/bots.md.
+const botIo = io.of("/bot");
+
+botIo.use((socket, next) => {
+  const { name, token, thinkMs } = socket.handshake.auth || {};
+  if (BOT_TOKEN && token !== BOT_TOKEN) return next(new Error("Bad bot token."));
+  if (typeof name !== "string" || !/^[\w-]{1,24}$/.test(name)) {
+    return next(new Error("Bot names are 1-24 letters, digits, - or _."));
+  }
+  if (remoteBots[name]) return next(new Error(`A bot named "${name}" is already connected.`));
+
+  socket.data.name = name;
+  socket.data.thinkMs = thinkMs != null ? clampThinkMs(thinkMs) : undefined;
+  next();
+});
+
+botIo.on("connection", (socket) => {
+  const { name } = socket.data;
+  if (remoteBots[name]) return socket.disconnect(true);
+
+  remoteBots[name] = socket;
+  console.log("Bot connected:", name);
+
+  socket.on("disconnect", () => {
+    console.log("Bot disconnected:", name);
+    if (remoteBots[name] === socket) delete remoteBots[name];
+    replaceRemoteBot(name);
+  });
+});
+
+// ------------------ ADMIN / MONITORING ------------------
+
+// /health and /metrics are open; everything under /admin needs
+// "Authorization: Bearer $ADMIN_TOKEN" and is off when ADMIN_TOKEN isn't set.
+// Routes: docs/admin.md.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+const stats = { startedAt: Date.now(), gamesFinished: 0, turns: 0, turnMsTotal: 0 };
+
+// Called when the turn passes (or the game ends) to time the turn that just ended
+function countTurn(room) {
+  const now = Date.now();
+  if (room.turnStartedAt) {
+    stats.turns++;
+    stats.turnMsTotal += now - room.turnStartedAt;
+  }
+  room.turnStartedAt = now;
+}
+
+function sameToken(given, expected) {
+  const hash = (value) => crypto.createHash("sha256").update(String(value)).digest();
+  return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: "The admin API is off. Set ADMIN_TOKEN to enable it." });
+
+  const [scheme, token] = (req.get("authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !token || !sameToken(token, ADMIN_TOKEN)) {
+    audit.record({ ip: req.ip, event: "admin", reason: "bad admin token", route: `${req.method} ${req.originalUrl}` });
+    return res.status(401).json({ error: "Admin token required." });
+  }
+  next();
+}
+
+function adminRoomSummary(room) {
+  return {
+    roomCode: room.code,
+    phase: room.phase,
+    isPrivate: room.isPrivate,
+    hasPasscode: !!room.passcode,
+    isCpuGame: room.isCpuGame,
+    cpuDifficulty: room.cpuDifficulty,
+    rules: room.rules,
+    teams: room.teams,
+    isMatch: room.isMatch,
+    players: room.players.map((id, seatIndex) => {
+      if (!id) return null;
+      const profile = profileOfSeat(room, seatIndex);
+      return {
+        seat: `P${seatIndex + 1}`,
+        id,
+        kind: humanPlayers(room).includes(id) ? "human" : room.bots[id].kind,
+        name: humanPlayers(room).includes(id) ? (profile ? profile.nickname : null) : room.bots[id].name,
+        connected: !isAway(room, id),
+        afk: isAfk(room, seatIndex),
+        team: room.teams ? teamOfSeat(seatIndex) : null,
+        cards: room.game && room.game.hands[id] ? room.game.hands[id].length : 0,
+      };
+    }),
+    spectators: Object.keys(room.spectators).length,
+    gameId: room.gameId,
+    turnCount: room.game ? room.game.turnCount : 0,
+    idleMs: Date.now() - room.lastMoveAt,
+  };
+}
+
+// Stops the current game (or match) with no winner; the players can still ask for a rematch
+function forceEndGame(room, roomCode) {
+  clearTurnTimer(room);
+  clearBotTimers(room);
+  clearRoundTimer(room);
+
+  room.isGameOver = true;
+  room.winner = null;
+  room.match = null;
+  room.phase = "gameover";
+  room.message = "⛔ This game was ended by an admin.";
+  room.lastMoveAt = Date.now();
+  sendGameState(roomCode);
+}
+
+app.get("/health", (req, res) => {
+  res.json({ status: "ok", uptimeMs: Date.now() - stats.startedAt });
+});
+
+app.get("/metrics", (req, res) => {
+  const phases = { waiting: 0, dealing: 0, playing: 0, roundover: 0, gameover: 0 };
+  let players = 0;
+  let spectators = 0;
+  Object.values(rooms).forEach((room) => {
+    phases[room.phase] = (phases[room.phase] || 0) + 1;
+    players += humanPlayers(room).filter((id) => !isAway(room, id)).length;
+    spectators += Object.keys(room.spectators).length;
+  });
+
+  res.json({
+    uptimeMs: Date.now() - stats.startedAt,
+    connections: io.of("/").sockets.size,
+    botConnections: botIo.sockets.size,
+    rooms: { total: Object.keys(rooms).length, ...phases },
+    players,
+    spectators,
+    searching: matchQueue.length,
+    gamesFinished: stats.gamesFinished,
+    turns: stats.turns,
+    averageTurnMs: stats.turns ? Math.round(stats.turnMsTotal / stats.turns) : null,
+  });
+});
+
+const admin = express.Router();
+admin.use(requireAdmin, express.json({ limit: "10kb" }));
+
+admin.get("/rooms", (req, res) => {
+  res.json(Object.values(rooms).map(adminRoomSummary).sort((a, b) => a.idleMs - b.idleMs));
+});
+
+// Everything the server keeps for the room, hands and deck included (but not the session tokens)
+admin.get("/rooms/:code", (req, res) => {
+  const room = rooms[req.params.code];
+  if (!room) return res.status(404).json({ error: "Room not found." });
+
+  const { sessions, ...state } = serializeRoom(room);
+  res.json({ ...adminRoomSummary(room), state, spectators: Object.keys(room.spectators), away: room.away });
+});
+
+admin.post("/rooms/:code/end", (req, res) => {
+  const room = rooms[req.params.code];
+  if (!room) return res.status(404).json({ error: "Room not found." });
+  if (room.phase === "waiting" || room.phase === "gameover") {
+    return res.status(409).json({ error: "No game in progress in that room." });
+  }
+
+  audit.record({ ip: req.ip, event: "admin", reason: "force-end game", roomCode: room.code });
+  forceEndGame(room, room.code);
+  res.json(adminRoomSummary(room));
+});
+
+admin.delete("/rooms/:code", (req, res) => {
+  if (!rooms[req.params.code]) return res.status(404).json({ error: "Room not found." });
+
+  audit.record({ ip: req.ip, event: "admin", reason: "delete room", roomCode: req.params.code });
+  closeRoom(req.params.code, "This room was closed by an admin.");
+  res.status(204).end();
+});
+
+// Shown to every connected player and spectator, e.g. before a restart
+admin.post("/notice", (req, res) => {
+  const body = validate({ message: { type: "string", pattern: /\S/, maxLength: 500 } }, req.body);
+  if (body.error) return res.status(400).json({ error: body.error });
+
+  const notice = { message: body.value.message.trim(), at: Date.now() };
+  audit.record({ ip: req.ip, event: "admin", reason: "notice", message: notice.message });
+  io.emit("notice", notice);
+  res.json({ sent: io.of("/").sockets.size });
+});
+
+// A body that isn't JSON (or is too big) gets a JSON error like every other route
+admin.use((err, req, res, next) => {
+  const status = err.status >= 400 && err.status < 500 ? err.status : 500;
+  if (status === 500) console.error("Admin route failed:", err);
+  res.status(status).json({ error: status === 500 ? "Something went wrong." : err.message });
+});
+
+app.use("/admin", admin);
+
+// Ratings and room changes from the last moments must not be lost on shutdown
+["SIGINT", "SIGTERM"].forEach((signal) => {
+  process.on(signal, () => {
+    profiles.flush();
+    writeRooms().finally(() => process.exit(0));
+  });
+});
+
+loadRooms();
+setInterval(closeIdleRooms, ROOM_SWEEP_MS);
+
 // ---- START SERVER ----
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
@@ -0,0 +1,378 @@
+// Engine rules, straight through applyAction: no server, no sockets.
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createGame, applyAction, legalMoves, topCard, MERCY_LIMIT } = require("../game/engine");
+
+const num = (id, color, value) => ({ id, color, value, type: "number" });
+const card = (id, color, type) => ({ id, color, value: null, type });
+
+// A game with the given hands and top card, "a" to play
+function table({ hands, top, rules = { preset: "house" }, deck = null, teams = null }) {
+  const players = Object.keys(hands);
+  const { state } = createGame({ players, rules, seed: "test", teams });
+  players.forEach((id) => {
+    state.hands[id] = hands[id];
+  });
+  state.discardPile = [top];
+  if (deck) state.deck = deck;
+  state.currentTurn = "a";
+  return state;
+}
+
+function apply(state, action) {
+  const res = applyAction(state, action);
+  assert.equal(res.error, undefined, res.error);
+  return res;
+}
+
+test("the same seed deals the same game", () => {
+  const a = createGame({ players: ["a", "b", "c"], seed: 42 }).state;
+  const b = createGame({ players: ["a", "b", "c"], seed: 42 }).state;
+  assert.deepEqual(a.hands, b.hands);
+  assert.deepEqual(a.deck, b.deck);
+  assert.equal(a.currentTurn, b.currentTurn);
+  assert.equal(a.hands.a.length, 7);
+});
+
+test("legal moves: matching color or number, every color for a wild, and draw", () => {
+  const state = table({
+    hands: {
+      a: [num(1, "red", 3), num(2, "blue", 5), num(3, "green", 9), card(4, null, "wild")],
+      b: [num(5, "red", 1)],
+    },
+    top: num(100, "red", 5),
+  });
+
+  const moves = legalMoves(state, "a");
+  const played = moves.filter((m) => m.type === "play");
+  assert.deepEqual([...new Set(played.map((m) => m.cardId))], [1, 2, 4]);
+  assert.deepEqual(played.filter((m) => m.cardId === 4).map((m) => m.chosenColor), ["red", "yellow", "green", "blue"]);
+  assert.ok(moves.some((m) => m.type === "draw"));
+
+  // Nothing but UNO calls and catches off turn
+  assert.deepEqual(legalMoves(state, "b"), [{ type: "yellUno", playerId: "b" }]);
+});
+
+test("an illegal play is refused and leaves the state alone", () => {
+  const state = table({
+    hands: { a: [num(1, "green", 9), num(2, "blue", 1)], b: [num(3, "red", 1)] },
+    top: num(100, "red", 5),
+  });
+
+  const res = applyAction(state, { type: "play", playerId: "a", cardId: 1 });
+  assert.equal(res.error, "You can't play that card.");
+  assert.equal(res.state, state);
+  assert.equal(applyAction(state, { type: "play", playerId: "b", cardId: 3 }).error, "Not your turn.");
+});
+
+test("draw stacking: +2 on +2 adds up, and the next player takes the whole stack", () => {
+  const deck = Array.from({ length: 10 }, (_, i) => num(200 + i, "yellow", i % 10));
+  let state = table({
+    hands: {
+      a: [card(1, "red", "draw2"), num(2, "red", 1)],
+      b: [card(3, "blue", "draw2"), num(4, "blue", 1)],
+      c: [num(5, "green", 1), num(6, "green", 2)],
+    },
+    top: num(100, "red", 5),
+    rules: { preset: "official", stacking: true },
+    deck,
+  });
+
+  state = apply(state, { type: "play", playerId: "a", cardId: 1 }).state;
+  assert.equal(state.pendingDraw, 2);
+  assert.equal(state.currentTurn, "b");
+
+  // Only another draw card may answer
+  assert.equal(applyAction(state, { type: "play", playerId: "b", cardId: 4 }).error, "Stack a draw card or draw 2.");
+  state = apply(state, { type: "play", playerId: "b", cardId: 3 }).state;
+  assert.equal(state.pendingDraw, 4);
+  assert.equal(state.currentTurn, "c");
+
+  const res = apply(state, { type: "draw", playerId: "c" });
+  assert.equal(res.state.hands.c.length, 6);
+  assert.equal(res.state.pendingDraw, 0);
+  assert.equal(res.state.currentTurn, "a");
+  assert.deepEqual(res.events.at(-1), { type: "draw", playerId: "c", count: 4, reason: "stack" });
+});
+
+test("Wild +4 challenge: a bluff costs the player 4, a legal card costs the challenger 6", () => {
+  const deck = Array.from({ length: 20 }, (_, i) => num(200 + i, "yellow", i % 10));
+  const setup = (aHand) =>
+    table({
+      hands: { a: aHand, b: [num(10, "green", 1), num(11, "green", 2), num(13, "green", 3)], c: [num(12, "blue", 1)] },
+      top: num(100, "red", 5),
+      rules: { preset: "official" },
+      deck: deck.slice(),
+    });
+
+  // Holding a red card, so the +4 was a bluff
+  let state = apply(setup([card(1, null, "wild4"), num(2, "red", 3), num(3, "blue", 3)]), {
+    type: "play",
+    playerId: "a",
+    cardId: 1,
+    chosenColor: "blue",
+  }).state;
+  assert.equal(state.challenge.victimId, "b");
+  assert.deepEqual(legalMoves(state, "b").map((m) => m.type), ["acceptWild4", "challengeWild4"]);
+  let res = apply(state, { type: "challengeWild4", playerId: "b" });
+  assert.equal(res.state.hands.a.length, 6);
+  assert.equal(res.state.hands.b.length, 3);
+  assert.equal(res.state.currentTurn, "b");
+
+  // No red card: legal, the challenger draws 6 and loses the turn
+  state = apply(setup([card(1, null, "wild4"), num(3, "blue", 3)]), {
+    type: "play",
+    playerId: "a",
+    cardId: 1,
+    chosenColor: "blue",
+  }).state;
+  res = apply(state, { type: "challengeWild4", playerId: "b" });
+  assert.equal(res.state.hands.a.length, 1);
+  assert.equal(res.state.hands.b.length, 9);
+  assert.equal(res.state.currentTurn, "c");
+
+  // Accepting: draw 4, and the turn passes over them
+  res = apply(state, { type: "acceptWild4", playerId: "b" });
+  assert.equal(res.state.hands.b.length, 7);
+  assert.equal(res.state.currentTurn, "c");
+});
+
+test("an empty deck is refilled from the discard pile, keeping the top card", () => {
+  let state = table({
+    hands: { a: [num(1, "green", 1)], b: [num(2, "green", 2)] },
+    top: num(100, "red", 5),
+    deck: [],
+  });
+  state.discardPile = [card(101, "blue", "wild"), num(102, "blue", 2), num(100, "red", 5)];
+
+  const res = apply(state, { type: "draw", playerId: "a" });
+  state = res.state;
+  assert.ok(res.events.some((e) => e.type === "reshuffle" && e.deckCount === 2));
+  assert.deepEqual(state.discardPile.map((c) => c.id), [100]);
+  assert.equal(state.hands.a.length, 2);
+  assert.equal(state.deck.length, 1);
+
+  // A reshuffled wild is colorless again
+  const wild = state.deck.concat(state.hands.a).find((c) => c.id === 101);
+  assert.equal(wild.color, null);
+  assert.equal(topCard(state).id, 100);
+});
+
+test("UNO: going down to one card without calling it can be caught", () => {
+  const deck = Array.from({ length: 10 }, (_, i) => num(200 + i, "yellow", i % 10));
+  const hands = () => ({ a: [num(1, "red", 3), num(2, "blue", 4)], b: [num(3, "green", 1), num(4, "green", 2)] });
+
+  // Forgot to call it
+  let state = apply(table({ hands: hands(), top: num(100, "red", 5), deck: deck.slice() }), {
+    type: "play",
+    playerId: "a",
+    cardId: 1,
+  }).state;
+  assert.equal(state.unoExposed, "a");
+  assert.ok(legalMoves(state, "b").some((m) => m.type === "catchUno" && m.target === "a"));
+  assert.equal(applyAction(state, { type: "catchUno", playerId: "a", target: "a" }).error, "You can't catch yourself.");
+
+  const caught = apply(state, { type: "catchUno", playerId: "b", target: "a" });
+  assert.equal(caught.state.hands.a.length, 3);
+  assert.equal(caught.state.unoExposed, null);
+  assert.equal(caught.events[0].reason, "caught");
+
+  // A late call before anyone catches them still counts
+  const late = apply(state, { type: "yellUno", playerId: "a" });
+  assert.equal(late.state.unoExposed, null);
+  assert.equal(applyAction(late.state, { type: "catchUno", playerId: "b", target: "a" }).error, "Too late — nobody to catch.");
+
+  // Called in time: nothing to catch
+  state = apply(table({ hands: hands(), top: num(100, "red", 5), deck: deck.slice() }), { type: "yellUno", playerId: "a" }).state;
+  state = apply(state, { type: "play", playerId: "a", cardId: 1 }).state;
+  assert.equal(state.unoExposed, null);
+});
+
+test("jump-in: an exact copy of the top card plays out of turn, and play goes on from there", () => {
+  const deck = Array.from({ length: 10 }, (_, i) => num(200 + i, "yellow", i % 10));
+  const state = table({
+    hands: {
+      a: [num(1, "green", 1), num(2, "green", 2), num(3, "green", 3)],
+      b: [num(4, "blue", 1), num(5, "blue", 2), num(6, "blue", 3)],
+      c: [num(7, "red", 5), num(8, "blue", 5), card(9, null, "wild")],
+    },
+    top: num(100, "red", 5),
+    rules: { preset: "official", jumpIn: true },
+    deck,
+  });
+
+  // Same number in another color, or a wild, is not a copy
+  assert.deepEqual(legalMoves(state, "c").filter((m) => m.type === "jumpIn").map((m) => m.cardId), [7]);
+  const refused = "You can only jump in with an exact copy of the top card.";
+  assert.equal(applyAction(state, { type: "jumpIn", playerId: "c", cardId: 8 }).error, refused);
+  // nor does the player on turn jump in
+  assert.equal(applyAction(state, { type: "jumpIn", playerId: "a", cardId: 1 }).error, refused);
+
+  const res = apply(state, { type: "jumpIn", playerId: "c", cardId: 7 });
+  assert.deepEqual(res.events[0], { type: "jumpIn", playerId: "c", skipped: "a" });
+  assert.equal(topCard(res.state).id, 7);
+  assert.equal(res.state.hands.c.length, 2);
+  assert.equal(res.state.currentTurn, "a");
+  assert.ok(res.state.message.startsWith("⚡ P3 jumped in!"));
+
+  // Off unless the rule is on
+  const off = table({ hands: { a: [num(1, "green", 1)], b: [num(7, "red", 5)] }, top: num(100, "red", 5) });
+  assert.equal(applyAction(off, { type: "jumpIn", playerId: "b", cardId: 7 }).error, refused);
+});
+
+test("flip deck: a Flip card turns every card over, and the next one turns them back", () => {
+  // light face, then the dark face on its back
+  const twoSided = (light, { id, ...dark }) => ({ ...light, back: { ...dark, dark: true } });
+  let state = table({
+    hands: {
+      a: [
+        twoSided(card(1, "red", "flip"), card(0, "blue", "flip")),
+        twoSided(num(2, "green", 3), card(0, "yellow", "draw5")),
+      ],
+      b: [twoSided(card(3, "green", "flip"), card(0, "blue", "flip")), twoSided(num(4, "yellow", 8), num(0, "red", 2))],
+    },
+    top: twoSided(num(100, "red", 5), num(0, "green", 6)),
+    rules: { preset: "official", deck: "flip" },
+    deck: [twoSided(num(200, "blue", 1), num(0, "red", 9))],
+  });
+
+  let res = apply(state, { type: "play", playerId: "a", cardId: 1 });
+  state = res.state;
+  assert.deepEqual(res.events.find((e) => e.type === "flip"), { type: "flip", playerId: "a", side: "dark" });
+  assert.equal(state.side, "dark");
+  assert.equal(state.currentTurn, "b");
+  const faces = (cards) => cards.map((c) => `${c.color} ${c.value ?? c.type}`);
+  assert.deepEqual(faces([topCard(state)]), ["blue flip"]);
+  assert.deepEqual(faces(state.hands.a), ["yellow draw5"]);
+  assert.deepEqual(faces(state.hands.b), ["blue flip", "red 2"]);
+  assert.equal(state.deck[0].color, "red");
+
+  // The light side comes back, both faces intact
+  res = apply(state, { type: "play", playerId: "b", cardId: 3 });
+  state = res.state;
+  assert.equal(state.side, "light");
+  assert.deepEqual(state.hands.a[0], twoSided(num(2, "green", 3), card(0, "yellow", "draw5")));
+  assert.equal(topCard(state).color, "green");
+});
+
+test("no mercy: a hand of MERCY_LIMIT cards is out of the game, and the last player left wins", () => {
+  const deck = Array.from({ length: 30 }, (_, i) => num(200 + i, "yellow", i % 10));
+  const big = Array.from({ length: MERCY_LIMIT - 10 }, (_, i) => num(300 + i, "blue", i % 10));
+  const hands = () => ({
+    a: [card(1, null, "wild10"), num(2, "red", 1), num(3, "red", 2)],
+    b: big.slice(),
+    c: [num(4, "green", 1), num(5, "red", 7), num(6, "green", 3)],
+  });
+  const rules = { preset: "official", deck: "noMercy" };
+
+  let res = apply(table({ hands: hands(), top: num(100, "red", 5), rules, deck: deck.slice() }), {
+    type: "play",
+    playerId: "a",
+    cardId: 1,
+    chosenColor: "red",
+  });
+  let state = res.state;
+  assert.ok(res.events.some((e) => e.type === "eliminated" && e.playerId === "b" && e.limit === MERCY_LIMIT));
+  assert.deepEqual(state.out, ["b"]);
+  assert.equal(state.hands.b.length, 0);
+  assert.equal(state.deck.length, deck.length - 10 + MERCY_LIMIT);
+  assert.equal(state.isGameOver, false);
+  assert.equal(state.currentTurn, "c");
+
+  // Seats that are out are passed over
+  state = apply(state, { type: "play", playerId: "c", cardId: 5 }).state;
+  assert.equal(state.currentTurn, "a");
+  assert.ok(!legalMoves(state, "b").length);
+
+  // Two seats: knocking the other one out wins the game
+  const two = hands();
+  delete two.c;
+  res = apply(table({ hands: two, top: num(100, "red", 5), rules, deck: deck.slice() }), {
+    type: "play",
+    playerId: "a",
+    cardId: 1,
+    chosenColor: "red",
+  });
+  assert.equal(res.state.isGameOver, true);
+  assert.equal(res.state.winner, "a");
+  assert.deepEqual(res.events.at(-1), { type: "win", playerId: "a", team: null });
+});
+
+test("teams: a player going out wins for their team, and partners left alone win no mercy", () => {
+  const teams = { a: "A", b: "B", c: "A", d: "B" };
+  let res = apply(
+    table({
+      hands: {
+        a: [num(1, "red", 3)],
+        b: [num(2, "green", 1), num(3, "green", 2)],
+        c: [num(4, "green", 3), num(5, "green", 4)],
+        d: [num(6, "green", 5), num(7, "green", 6)],
+      },
+      top: num(100, "red", 5),
+      teams,
+    }),
+    { type: "play", playerId: "a", cardId: 1 }
+  );
+  assert.equal(res.state.winner, "a");
+  assert.deepEqual(res.events.at(-1), { type: "win", playerId: "a", team: "A" });
+
+  // b is knocked out; a and c are partners, so team A has won
+  const deck = Array.from({ length: 20 }, (_, i) => num(200 + i, "yellow", i % 10));
+  res = apply(
+    table({
+      hands: {
+        a: [card(1, null, "wild10"), num(2, "red", 1), num(3, "red", 2)],
+        b: Array.from({ length: MERCY_LIMIT - 10 }, (_, i) => num(300 + i, "blue", i % 10)),
+        c: [num(4, "green", 1), num(5, "green", 2), num(6, "green", 3)],
+      },
+      top: num(100, "red", 5),
+      rules: { preset: "official", deck: "noMercy" },
+      deck,
+      teams: { a: "A", b: "B", c: "A" },
+    }),
+    { type: "play", playerId: "a", cardId: 1, chosenColor: "red" }
+  );
+  assert.equal(res.state.isGameOver, true);
+  assert.deepEqual(res.events.at(-1), { type: "win", playerId: "a", team: "A" });
+});
+
+test("7-0: a 7 swaps hands with the chosen player, a 0 passes every hand along", () => {
+  const deck = Array.from({ length: 10 }, (_, i) => num(200 + i, "yellow", i % 10));
+  const hands = () => ({
+    a: [num(1, "red", 7), num(2, "red", 0), num(3, "green", 1)],
+    b: [num(4, "blue", 1), num(5, "blue", 2), num(6, "blue", 3)],
+    c: [num(7, "yellow", 1)],
+  });
+  const rules = { preset: "official", sevenZero: true };
+  const setup = () => table({ hands: hands(), top: num(100, "red", 5), rules, deck: deck.slice() });
+  const ids = (hand) => hand.map((c) => c.id);
+
+  // With three seats the 7 needs a target
+  const res7 = applyAction(setup(), { type: "play", playerId: "a", cardId: 1 });
+  assert.equal(res7.error, "Choose a player to swap hands with.");
+  assert.ok(legalMoves(setup(), "a").some((m) => m.cardId === 1 && m.swapWith === "c"));
+
+  let res = apply(setup(), { type: "play", playerId: "a", cardId: 1, swapWith: "c" });
+  assert.deepEqual(ids(res.state.hands.a), [7]);
+  assert.deepEqual(ids(res.state.hands.c), [2, 3]);
+  assert.deepEqual(ids(res.state.hands.b), [4, 5, 6]);
+  assert.equal(res.events[0].swapWith, "c");
+  assert.equal(res.state.currentTurn, "b");
+
+  // A 0 moves every hand one seat along the direction of play
+  res = apply(setup(), { type: "play", playerId: "a", cardId: 2 });
+  assert.deepEqual(ids(res.state.hands.b), [1, 3]);
+  assert.deepEqual(ids(res.state.hands.c), [4, 5, 6]);
+  assert.deepEqual(ids(res.state.hands.a), [7]);
+
+  // Two seats: the 7 swaps with the other player without asking
+  const two = hands();
+  delete two.c;
+  const state = table({ hands: two, top: num(100, "red", 5), rules, deck: deck.slice() });
+  res = apply(state, { type: "play", playerId: "a", cardId: 1 });
+  assert.deepEqual(ids(res.state.hands.a), [4, 5, 6]);
+  assert.deepEqual(ids(res.state.hands.b), [2, 3]);
+});
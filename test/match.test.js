@@ -0,0 +1,103 @@
+// Match scoring (game/match.js) on finished engine states.
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { DEFAULT_TARGET_SCORE, cardPoints, createMatch, scoreRound, recordRound, renamePlayerInMatch } = require("../game/match");
+
+const num = (id, color, value) => ({ id, color, value, type: "number" });
+const card = (id, color, type) => ({ id, color, value: null, type });
+
+// Just what scoring looks at: who is seated, their hands, the winner and the teams
+function finished(hands, winner, teams = null) {
+  return { players: Object.keys(hands), hands, winner, teams };
+}
+
+test("card points: face value for numbers, 20 for actions, 50 for wilds", () => {
+  assert.equal(cardPoints(num(1, "red", 7)), 7);
+  assert.equal(cardPoints(num(2, "red", 0)), 0);
+  assert.equal(cardPoints(card(3, "blue", "skip")), 20);
+  assert.equal(cardPoints(card(4, "blue", "draw5")), 20);
+  assert.equal(cardPoints(card(5, "green", "draw1")), 10);
+  assert.equal(cardPoints(card(6, "green", "skipAll")), 30);
+  assert.equal(cardPoints(card(7, null, "wild4")), 50);
+  assert.equal(cardPoints(card(8, null, "wildColor")), 60);
+});
+
+test("a round scores everyone else's cards for the winner", () => {
+  const round = scoreRound(
+    finished(
+      {
+        a: [],
+        b: [num(1, "red", 9), card(2, null, "wild")],
+        c: [card(3, "blue", "reverse")],
+      },
+      "a"
+    )
+  );
+  assert.equal(round.winner, "a");
+  assert.equal(round.points, 79);
+  assert.deepEqual(round.breakdown, {
+    a: { cards: 0, points: 0 },
+    b: { cards: 2, points: 59 },
+    c: { cards: 1, points: 20 },
+  });
+});
+
+test("team play scores per team, and a partner's hand doesn't count", () => {
+  const teams = { a: "A", b: "B", c: "A", d: "B" };
+  const round = scoreRound(
+    finished(
+      {
+        a: [],
+        b: [num(1, "red", 4)],
+        c: [card(2, null, "wild4")],
+        d: [num(3, "blue", 6), num(4, "blue", 1)],
+      },
+      "a",
+      teams
+    )
+  );
+  assert.equal(round.winner, "A");
+  assert.equal(round.points, 11);
+  assert.deepEqual(round.breakdown, { A: { cards: 1, points: 50 }, B: { cards: 3, points: 11 } });
+});
+
+test("the first to the target score wins the match", () => {
+  let match = createMatch(["a", "b", null], 100);
+  assert.deepEqual(match.scores, { a: 0, b: 0 });
+
+  match = recordRound(match, finished({ a: [], b: [card(1, null, "wild"), num(2, "red", 8)] }, "a"), 1);
+  assert.deepEqual(match.scores, { a: 58, b: 0 });
+  assert.equal(match.winner, null);
+
+  match = recordRound(match, finished({ a: [num(3, "red", 5)], b: [] }, "b"), 2);
+  match = recordRound(match, finished({ a: [], b: [card(4, null, "wild4")] }, "a"), 3);
+  assert.deepEqual(match.scores, { a: 108, b: 5 });
+  assert.equal(match.winner, "a");
+  assert.deepEqual(match.rounds.map((r) => [r.gameId, r.winner, r.points]), [
+    [1, "a", 58],
+    [2, "b", 5],
+    [3, "a", 50],
+  ]);
+});
+
+test("the target score is clamped", () => {
+  assert.equal(createMatch(["a"], 0).targetScore, DEFAULT_TARGET_SCORE);
+  assert.equal(createMatch(["a"], "nonsense").targetScore, DEFAULT_TARGET_SCORE);
+  assert.equal(createMatch(["a"], 250.7).targetScore, 250);
+  assert.equal(createMatch(["a"], 99999).targetScore, 5000);
+});
+
+test("a reconnect renames the player in scores, rounds and the winner", () => {
+  let match = createMatch(["a", "b"], 10);
+  match = recordRound(match, finished({ a: [], b: [num(1, "red", 9), num(2, "red", 3)] }, "a"), 1);
+
+  const renamed = renamePlayerInMatch(match, "a", "a2");
+  assert.deepEqual(renamed.scores, { b: 0, a2: 12 });
+  assert.equal(renamed.rounds[0].winner, "a2");
+  assert.ok("a2" in renamed.rounds[0].breakdown && !("a" in renamed.rounds[0].breakdown));
+  assert.equal(renamed.winner, "a2");
+  assert.equal(match.winner, "a");
+});
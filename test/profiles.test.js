@@ -0,0 +1,35 @@
+// Rating changes (eloChanges in game/profiles.js).
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { eloChanges } = require("../game/profiles");
+
+const total = (changes) => Object.values(changes).reduce((sum, d) => sum + d, 0);
+
+test("two equal players: the winner takes half of K from the loser", () => {
+  assert.deepEqual(eloChanges({ w: 1200, l: 1200 }, "w"), { w: 16, l: -16 });
+});
+
+test("beating a stronger player is worth more than beating a weaker one", () => {
+  const upset = eloChanges({ w: 1100, l: 1300 }, "w");
+  const expected = eloChanges({ w: 1300, l: 1100 }, "w");
+  assert.ok(upset.w > 16 && expected.w < 16);
+  assert.equal(upset.w + expected.w, 32);
+  assert.equal(total(upset), 0);
+});
+
+test("with more players, K is split between the pairings", () => {
+  const changes = eloChanges({ w: 1200, a: 1200, b: 1200, c: 1200 }, "w");
+  assert.deepEqual(changes, { w: 16, a: -5, b: -5, c: -5 });
+
+  // Each loser pays according to their own rating
+  const mixed = eloChanges({ w: 1200, strong: 1400, weak: 1000 }, "w");
+  assert.ok(-mixed.strong > -mixed.weak);
+  assert.equal(mixed.w, -(mixed.strong + mixed.weak));
+});
+
+test("alone at the table, nothing changes", () => {
+  assert.deepEqual(eloChanges({ w: 1500 }, "w"), { w: 0 });
+});
@@ -0,0 +1,70 @@
+// Socket payload schemas (game/validate.js).
+// Run with `npm test`.
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validate } = require("../game/validate");
+
+const ROOM = { roomCode: { type: "string", pattern: /^\d{4}$/ } };
+
+test("known fields pass through and unknown ones are dropped", () => {
+  assert.deepEqual(validate(ROOM, { roomCode: "1234", extra: "x" }), { value: { roomCode: "1234" } });
+});
+
+test("a payload must be an object; none at all is an empty one", () => {
+  assert.deepEqual(validate({}, undefined), { value: {} });
+  assert.deepEqual(validate({}, null), { value: {} });
+  assert.deepEqual(validate(ROOM, "1234"), { error: "payload must be an object" });
+  assert.deepEqual(validate(ROOM, ["1234"]), { error: "payload must be an object" });
+});
+
+test("required and optional fields", () => {
+  const schema = { ...ROOM, passcode: { type: "string", maxLength: 8, optional: true } };
+  assert.deepEqual(validate(schema, {}), { error: "roomCode is required" });
+  assert.deepEqual(validate(schema, { roomCode: "1234", passcode: null }), { value: { roomCode: "1234" } });
+  assert.deepEqual(validate(schema, { roomCode: "1234", passcode: "abc" }), { value: { roomCode: "1234", passcode: "abc" } });
+  assert.deepEqual(validate(schema, { roomCode: "1234", passcode: "123456789" }), { error: "passcode is too long" });
+});
+
+test("strings, integers and booleans are checked by type, pattern and range", () => {
+  assert.deepEqual(validate(ROOM, { roomCode: 1234 }), { error: "roomCode must be a string" });
+  assert.deepEqual(validate(ROOM, { roomCode: "12a4" }), { error: "roomCode is not valid" });
+
+  const seats = { seats: { type: "integer", min: 2, max: 4 } };
+  assert.deepEqual(validate(seats, { seats: 3 }), { value: { seats: 3 } });
+  assert.deepEqual(validate(seats, { seats: 2.5 }), { error: "seats must be a whole number" });
+  assert.deepEqual(validate(seats, { seats: "3" }), { error: "seats must be a whole number" });
+  assert.deepEqual(validate(seats, { seats: 5 }), { error: "seats is out of range" });
+
+  const reveal = { reveal: { type: "boolean" } };
+  assert.deepEqual(validate(reveal, { reveal: false }), { value: { reveal: false } });
+  assert.deepEqual(validate(reveal, { reveal: "true" }), { error: "reveal must be true or false" });
+});
+
+test("enums and anyOf", () => {
+  const color = { color: { enum: ["red", "blue"] } };
+  assert.deepEqual(validate(color, { color: "blue" }), { value: { color: "blue" } });
+  assert.deepEqual(validate(color, { color: "pink" }), { error: "color must be one of red, blue" });
+
+  const cardId = { cardId: { anyOf: [{ type: "integer", min: 0 }, { type: "string", pattern: /^c\d+$/ }] } };
+  assert.deepEqual(validate(cardId, { cardId: 7 }), { value: { cardId: 7 } });
+  assert.deepEqual(validate(cardId, { cardId: "c7" }), { value: { cardId: "c7" } });
+  assert.deepEqual(validate(cardId, { cardId: -1 }), { error: "cardId is not valid" });
+  assert.deepEqual(validate(cardId, {}), { error: "cardId is required" });
+});
+
+test("nested objects and arrays are checked field by field and item by item", () => {
+  const schema = {
+    rules: { type: "object", fields: { stacking: { type: "boolean", optional: true } } },
+    seats: { type: "array", items: { type: "string", maxLength: 4 }, maxItems: 2 },
+  };
+  assert.deepEqual(validate(schema, { rules: { stacking: true, junk: 1 }, seats: ["cpu", "easy"] }), {
+    value: { rules: { stacking: true }, seats: ["cpu", "easy"] },
+  });
+  assert.deepEqual(validate(schema, { rules: [], seats: [] }), { error: "rules must be an object" });
+  assert.deepEqual(validate(schema, { rules: { stacking: 1 }, seats: [] }), { error: "rules.stacking must be true or false" });
+  assert.deepEqual(validate(schema, { rules: {}, seats: "cpu" }), { error: "seats must be a list" });
+  assert.deepEqual(validate(schema, { rules: {}, seats: ["a", "b", "c"] }), { error: "seats has too many entries" });
+  assert.deepEqual(validate(schema, { rules: {}, seats: ["a", "hard1"] }), { error: "seats[1] is too long" });
+});